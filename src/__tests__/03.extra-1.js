@@ -0,0 +1,66 @@
+import * as React from 'react'
+import {render, renderHook, screen, act} from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import App, {
+  CountProvider,
+  CountDisplay,
+  Counter,
+  useCountState,
+  useCountDispatch,
+} from '../final/03.extra-1'
+
+test('clicking the button increments the count', async () => {
+  render(<App />)
+  const button = screen.getByText(/increment count/i)
+  const display = screen.getByText(/the current count/i)
+  expect(display).toHaveTextContent(/0/)
+  await userEvent.click(button)
+  expect(display).toHaveTextContent(/1/)
+  await userEvent.click(button)
+  expect(display).toHaveTextContent(/2/)
+})
+
+test('the counter does not re-render when the count changes', async () => {
+  const renders = {display: 0, counter: 0}
+  const countRender = id => renders[id]++
+  render(
+    <CountProvider>
+      <React.Profiler id="display" onRender={countRender}>
+        <CountDisplay />
+      </React.Profiler>
+      <React.Profiler id="counter" onRender={countRender}>
+        <Counter />
+      </React.Profiler>
+    </CountProvider>,
+  )
+  expect(renders).toEqual({display: 1, counter: 1})
+
+  await userEvent.click(screen.getByText(/increment count/i))
+  await userEvent.click(screen.getByText(/increment count/i))
+  expect(screen.getByText(/the current count/i)).toHaveTextContent(/2/)
+  expect(renders).toEqual({display: 3, counter: 1})
+})
+
+test('the count can be changed by a step and reset to the initial count', () => {
+  const {result} = renderHook(
+    () => ({count: useCountState(), dispatch: useCountDispatch()}),
+    {
+      wrapper: ({children}) => (
+        <CountProvider initialCount={10} step={5}>
+          {children}
+        </CountProvider>
+      ),
+    },
+  )
+  const dispatch = action => act(() => result.current.dispatch(action))
+  expect(result.current.count).toBe(10)
+
+  dispatch({type: 'increment'})
+  expect(result.current.count).toBe(15)
+  dispatch({type: 'decrement', step: 1})
+  expect(result.current.count).toBe(14)
+  dispatch({type: 'set', count: 42})
+  expect(result.current.count).toBe(42)
+  dispatch({type: 'reset'})
+  expect(result.current.count).toBe(10)
+})
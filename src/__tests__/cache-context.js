@@ -0,0 +1,144 @@
+import * as React from 'react'
+import {render, screen} from '@testing-library/react'
+import {
+  createCacheContext,
+  createSharedRequests,
+  addEntry,
+  touchEntry,
+  removeEntry,
+  evictEntries,
+  removeExpiredEntries,
+} from '../cache-context'
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+function createPokemonCache() {
+  const fetcher = jest.fn(name => Promise.resolve({name}))
+  const cache = createCacheContext({
+    name: 'Pokemon',
+    fetcher,
+    keyFn: name => name?.toLowerCase() ?? null,
+  })
+  function PokemonName({pokemonName}) {
+    const {status, data} = cache.useQuery(pokemonName)
+    return <div>{status === 'resolved' ? data.name : status}</div>
+  }
+  return {...cache, fetcher, PokemonName}
+}
+
+test('the cache hook throws when it is used outside of the provider', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+  const {PokemonName} = createPokemonCache()
+  expect(() => render(<PokemonName pokemonName="mew" />)).toThrow(
+    'usePokemonCache must be used within a PokemonCacheProvider',
+  )
+})
+
+test('queries for the same key share one request and are cached', async () => {
+  const {Provider, PokemonName, fetcher} = createPokemonCache()
+  const {rerender} = render(
+    <Provider>
+      <PokemonName pokemonName="mew" />
+      <PokemonName pokemonName="Mew" />
+      <PokemonName pokemonName={null} />
+    </Provider>,
+  )
+  expect(screen.getByText('idle')).toBeInTheDocument()
+  expect(await screen.findAllByText('mew')).toHaveLength(2)
+  expect(fetcher).toHaveBeenCalledTimes(1)
+  expect(fetcher).toHaveBeenCalledWith('mew', {signal: expect.any(AbortSignal)})
+
+  // a new consumer reads what's cached right away
+  rerender(
+    <Provider>
+      <PokemonName pokemonName="MEW" />
+    </Provider>,
+  )
+  expect(screen.getByText('mew')).toBeInTheDocument()
+  expect(fetcher).toHaveBeenCalledTimes(1)
+})
+
+test('a shared request is only aborted once all of its consumers abort', () => {
+  const onChange = jest.fn()
+  const share = createSharedRequests(onChange)
+  const factory = jest.fn(() => new Promise(() => {}))
+  const first = new AbortController()
+  const second = new AbortController()
+
+  const promise = share('mew', factory, first.signal)
+  expect(share('mew', factory, second.signal)).toBe(promise)
+  expect(factory).toHaveBeenCalledTimes(1)
+  expect(onChange).toHaveBeenLastCalledWith(['mew'])
+  const requestSignal = factory.mock.calls[0][0]
+
+  first.abort()
+  expect(requestSignal.aborted).toBe(false)
+  second.abort()
+  expect(requestSignal.aborted).toBe(true)
+  expect(onChange).toHaveBeenLastCalledWith([])
+})
+
+test('a consumer that has already aborted does not hold on to a request', async () => {
+  const share = createSharedRequests()
+  const factory = jest.fn(() => new Promise(() => {}))
+  const aborted = new AbortController()
+  aborted.abort()
+  const consumer = new AbortController()
+
+  share('mew', factory, consumer.signal)
+  await expect(share('mew', factory, aborted.signal)).rejects.toThrow(
+    'The operation was aborted.',
+  )
+  consumer.abort()
+  expect(factory.mock.calls[0][0].aborted).toBe(true)
+})
+
+test('a query never returns the data of the previous key', async () => {
+  const {Provider, useQuery} = createPokemonCache()
+  const renders = []
+  function PokemonName({pokemonName}) {
+    const {status, data} = useQuery(pokemonName)
+    renders.push([pokemonName, status, data?.name])
+    return <div>{status === 'resolved' ? data.name : status}</div>
+  }
+  const {rerender} = render(
+    <Provider>
+      <PokemonName pokemonName="mew" />
+    </Provider>,
+  )
+  await screen.findByText('mew')
+
+  renders.length = 0
+  rerender(
+    <Provider>
+      <PokemonName pokemonName="ditto" />
+    </Provider>,
+  )
+  expect(renders[0]).toEqual(['ditto', 'pending', undefined])
+  await screen.findByText('ditto')
+  expect(renders.filter(([, , name]) => name === 'mew')).toEqual([])
+})
+
+test('entries are kept in recency order and evicted least recently used first', () => {
+  let entries = {}
+  entries = addEntry(entries, 'mew', {expiresAt: 10})
+  entries = addEntry(entries, 'ditto', {expiresAt: Infinity})
+  entries = addEntry(entries, 'pikachu', {})
+  expect(Object.keys(entries)).toEqual(['mew', 'ditto', 'pikachu'])
+
+  entries = touchEntry(entries, 'mew')
+  expect(Object.keys(entries)).toEqual(['ditto', 'pikachu', 'mew'])
+  expect(touchEntry(entries, 'mew')).toBe(entries)
+
+  expect(Object.keys(evictEntries(entries, 2))).toEqual(['pikachu', 'mew'])
+  expect(evictEntries(entries, 3)).toBe(entries)
+  expect(Object.keys(removeExpiredEntries(entries, 10))).toEqual([
+    'ditto',
+    'pikachu',
+  ])
+  expect(removeExpiredEntries(entries, 5)).toBe(entries)
+  expect(Object.keys(removeEntry(entries, 'ditto'))).toEqual(['pikachu', 'mew'])
+  expect(removeEntry(entries, 'charizard')).toBe(entries)
+})
@@ -0,0 +1,53 @@
+import FDBFactory from 'fake-indexeddb/lib/FDBFactory'
+import {createIndexedDBAdapter} from '../cache-storage'
+
+// an indexedDB whose first open fails with the given event ('error' or
+// 'blocked') and that opens a real (fake) database after that
+function createFlakyIndexedDB(event) {
+  const indexedDB = new FDBFactory()
+  let failed = false
+  return {
+    open: jest.fn((...args) => {
+      if (failed) {
+        return indexedDB.open(...args)
+      }
+      failed = true
+      const request = {error: new Error('The database could not be opened')}
+      setTimeout(() => request[`on${event}`]())
+      return request
+    }),
+  }
+}
+
+test('the IndexedDB adapter stores records by key', async () => {
+  const storage = createIndexedDBAdapter({indexedDB: new FDBFactory()})
+  await storage.set('1', {name: 'Mew'})
+  await storage.set('2', {name: 'Ditto'})
+  await storage.remove('2')
+  expect(await storage.getAll()).toEqual({1: {name: 'Mew'}})
+
+  await storage.clear()
+  expect(await storage.getAll()).toEqual({})
+})
+
+test('the IndexedDB adapter opens the database again after it failed to', async () => {
+  const indexedDB = createFlakyIndexedDB('error')
+  const storage = createIndexedDBAdapter({indexedDB})
+
+  await expect(storage.getAll()).rejects.toThrow(
+    'The database could not be opened',
+  )
+  await storage.set('1', {name: 'Mew'})
+  expect(await storage.getAll()).toEqual({1: {name: 'Mew'}})
+  expect(indexedDB.open).toHaveBeenCalledTimes(2)
+})
+
+test('the IndexedDB adapter rejects while the database is blocked', async () => {
+  const indexedDB = createFlakyIndexedDB('blocked')
+  const storage = createIndexedDBAdapter({indexedDB})
+
+  await expect(storage.getAll()).rejects.toThrow(
+    'The pokemon-cache database is blocked',
+  )
+  expect(await storage.getAll()).toEqual({})
+})
@@ -0,0 +1,514 @@
+import * as React from 'react'
+import {
+  render,
+  renderHook,
+  screen,
+  waitFor,
+  waitForElementToBeRemoved,
+  within,
+  act,
+} from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import App, {
+  PokemonCacheProvider,
+  PokemonInfo,
+  PreviousPokemon,
+  usePokemonCache,
+  usePokemon,
+  useAttacksByType,
+} from '../final/03.extra-2'
+import {createLocalStorageAdapter} from '../cache-storage'
+import {pokemonSchemaVersion, pokemonFragments} from '../pokemon'
+import {resetPokemonDb} from '../backend'
+
+beforeEach(() => {
+  jest.spyOn(window, 'fetch')
+  jest.spyOn(console, 'error')
+})
+
+afterEach(() => {
+  window.fetch.mockRestore()
+  console.error.mockRestore()
+  resetPokemonDb()
+  window.localStorage.clear()
+})
+
+test('shows stale cached data while revalidating it in the background', async () => {
+  render(<App staleTime={0} />)
+  const input = screen.getByLabelText(/pokemon/i)
+  const submit = screen.getByText(/^submit$/i)
+
+  await userEvent.type(input, 'ditto')
+  await userEvent.click(submit)
+  await screen.findByText(/struggle/i)
+
+  await userEvent.clear(input)
+  await userEvent.type(input, 'bulbasaur')
+  await userEvent.click(submit)
+  await screen.findByText(/power whip/i)
+
+  window.fetch.mockClear()
+
+  // the cached ditto shows up right away, flagged as stale
+  await userEvent.click(screen.getByRole('button', {name: /^ditto$/i}))
+  expect(screen.getByRole('heading', {name: /ditto/i})).toBeInTheDocument()
+  expect(screen.getByText(/revalidating/i)).toBeInTheDocument()
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+
+  await waitForElementToBeRemoved(() => screen.queryByText(/revalidating/i))
+  expect(screen.getByRole('heading', {name: /ditto/i})).toBeInTheDocument()
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+})
+
+test('hydrates the cache from storage and writes new pokemon through', async () => {
+  const storage = createLocalStorageAdapter('test-pokemon-cache')
+  await storage.set('mew', {
+    version: pokemonSchemaVersion - 1,
+    pokemonData: {name: 'Mew'},
+    updatedAt: Date.now(),
+  })
+
+  const {unmount} = render(<App storage={storage} />)
+  const input = screen.getByLabelText(/pokemon/i)
+  await userEvent.type(input, 'ditto')
+  await userEvent.click(screen.getByText(/^submit$/i))
+  await screen.findByText(/struggle/i)
+
+  // the entry from an older schema version was discarded
+  expect(screen.queryByRole('button', {name: /^mew$/i})).not.toBeInTheDocument()
+  const records = Object.values(await storage.getAll())
+  expect(records.map(record => record.pokemonData.name)).toEqual(['Ditto'])
+  unmount()
+
+  window.fetch.mockClear()
+  render(<App storage={storage} />)
+  await userEvent.click(await screen.findByRole('button', {name: /^ditto$/i}))
+  await screen.findByText(/struggle/i)
+  expect(window.fetch).not.toHaveBeenCalled()
+
+  await storage.clear()
+})
+
+test('evicts the least recently used pokemon and can remove entries', async () => {
+  render(<App maxEntries={2} />)
+  const input = screen.getByLabelText(/pokemon/i)
+  const submit = screen.getByText(/^submit$/i)
+  const previousPokemon = () =>
+    screen
+      .getAllByRole('button', {name: /^(ditto|bulbasaur|charizard)$/i})
+      .map(button => button.textContent)
+
+  await userEvent.type(input, 'ditto')
+  await userEvent.click(submit)
+  await screen.findByText(/struggle/i)
+
+  await userEvent.clear(input)
+  await userEvent.type(input, 'bulbasaur')
+  await userEvent.click(submit)
+  await screen.findByText(/power whip/i)
+  expect(previousPokemon()).toEqual(['bulbasaur', 'ditto'])
+
+  // reading ditto from the cache makes it the most recently used
+  await userEvent.click(screen.getByRole('button', {name: /^ditto$/i}))
+  expect(previousPokemon()).toEqual(['ditto', 'bulbasaur'])
+
+  await userEvent.clear(input)
+  await userEvent.type(input, 'charizard')
+  await userEvent.click(submit)
+  await screen.findByText(/flamethrower/i)
+  expect(previousPokemon()).toEqual(['charizard', 'ditto'])
+
+  await userEvent.click(
+    screen.getByRole('button', {name: /remove/i, description: /ditto/i}),
+  )
+  expect(previousPokemon()).toEqual(['charizard'])
+})
+
+test('concurrent consumers of the same pokemon share one request', async () => {
+  render(
+    <PokemonCacheProvider>
+      <PreviousPokemon onSelect={() => {}} />
+      <PokemonInfo pokemonName="mew" />
+      <PokemonInfo pokemonName="Mew" />
+    </PokemonCacheProvider>,
+  )
+
+  expect(screen.getByRole('status', {name: /loading mew/i})).toBeInTheDocument()
+  expect(await screen.findAllByText(/hyper beam/i)).toHaveLength(2)
+  expect(screen.queryByRole('status')).not.toBeInTheDocument()
+  expect(screen.getAllByRole('button', {name: /^mew$/i})).toHaveLength(1)
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+})
+
+test('an inline cacheTime function does not restart the loads', async () => {
+  const ui = () => (
+    <PokemonCacheProvider cacheTime={() => Infinity}>
+      <PokemonInfo pokemonName="mew" />
+    </PokemonCacheProvider>
+  )
+  const {rerender} = render(ui())
+  await waitFor(() => expect(window.fetch).toHaveBeenCalledTimes(1))
+  rerender(ui())
+
+  expect(await screen.findByText(/hyper beam/i)).toBeInTheDocument()
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+  expect(window.fetch.mock.calls[0][1].signal.aborted).toBe(false)
+})
+
+test('a cached pokemon is rendered without a suspense fallback', async () => {
+  const {rerender} = render(
+    <PokemonCacheProvider>
+      <PokemonInfo pokemonName="mew" />
+    </PokemonCacheProvider>,
+  )
+  await screen.findByText(/hyper beam/i)
+
+  rerender(
+    <PokemonCacheProvider>
+      <PokemonInfo pokemonName="mew" />
+      <PokemonInfo pokemonName="mew" />
+    </PokemonCacheProvider>,
+  )
+  // the new PokemonInfo shows the cached pokemon in its very first render
+  expect(screen.getAllByText(/hyper beam/i)).toHaveLength(2)
+  expect(screen.queryByText(/loading/i)).not.toBeInTheDocument()
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+})
+
+function PokemonSummary({pokemonName}) {
+  const [, , {loadPokemon}] = usePokemonCache()
+  const pokemon = usePokemon(pokemonName)
+  React.useEffect(() => {
+    loadPokemon(pokemonName, {selection: pokemonFragments.summary})
+  }, [loadPokemon, pokemonName])
+  return pokemon?.name ?? null
+}
+
+test('a cached summary is merged with the details once they are needed', async () => {
+  function Pokemon() {
+    return usePokemon('mew') ? <PokemonInfo pokemonName="mew" /> : null
+  }
+  render(
+    <PokemonCacheProvider>
+      <PokemonSummary pokemonName="mew" />
+      <Pokemon />
+    </PokemonCacheProvider>,
+  )
+
+  // the summary doesn't have the attacks so PokemonInfo loads the details
+  await screen.findByText(/hyper beam/i)
+  expect(window.fetch).toHaveBeenCalledTimes(2)
+  const queries = window.fetch.mock.calls.map(
+    ([, config]) => JSON.parse(config.body).query,
+  )
+  expect(queries[0]).toMatch(/\.\.\.PokemonSummary/)
+  expect(queries[1]).toMatch(/\.\.\.PokemonDetails/)
+})
+
+function renderPokemonStore() {
+  const {result, rerender} = renderHook(
+    idOrName => ({
+      cache: usePokemonCache(),
+      pokemon: usePokemon(idOrName),
+      normalAttacks: useAttacksByType('normal'),
+    }),
+    {wrapper: PokemonCacheProvider, initialProps: 'mew'},
+  )
+  const load = name => act(() => result.current.cache[2].loadPokemon(name))
+  return {result, rerender, load}
+}
+
+test('pokemon are stored once by id and found by any name', async () => {
+  const {result, rerender, load} = renderPokemonStore()
+  await load('Mew ')
+  const mew = await load('mew')
+
+  const [cache] = result.current.cache
+  expect(Object.keys(cache.entries)).toEqual([mew.id])
+  const pokemon = result.current.pokemon
+  expect(pokemon).toEqual(mew)
+  rerender(mew.id)
+  expect(result.current.pokemon).toBe(pokemon)
+})
+
+test('attacks known by several pokemon are stored once', async () => {
+  const {result, load} = renderPokemonStore()
+  await load('mew')
+  const mewtwo = await load('mewtwo')
+  expect(result.current.normalAttacks).toEqual([
+    {name: 'Hyper Beam', type: 'Normal', damage: 120},
+  ])
+
+  // an update to mewtwo's hyper beam is an update to mew's too
+  act(() => {
+    const [, dispatch] = result.current.cache
+    dispatch({
+      type: 'ADD_POKEMON',
+      pokemonName: 'mewtwo',
+      pokemonData: {
+        ...mewtwo,
+        attacks: {
+          special: mewtwo.attacks.special.map(attack =>
+            attack.name === 'Hyper Beam' ? {...attack, damage: 150} : attack,
+          ),
+        },
+      },
+    })
+  })
+  expect(result.current.pokemon.attacks.special).toContainEqual({
+    name: 'Hyper Beam',
+    type: 'Normal',
+    damage: 150,
+  })
+  expect(result.current.normalAttacks).toHaveLength(1)
+})
+
+test('adding a pokemon only re-renders the consumers it affects', async () => {
+  const renders = {previous: 0, mew: 0}
+  const countRender = id => renders[id]++
+  let loadPokemon
+  function Loader() {
+    loadPokemon = usePokemonCache(([, , helpers]) => helpers.loadPokemon)
+    return null
+  }
+  render(
+    <PokemonCacheProvider>
+      <Loader />
+      <React.Profiler id="previous" onRender={countRender}>
+        <PreviousPokemon onSelect={() => {}} />
+      </React.Profiler>
+      <React.Profiler id="mew" onRender={countRender}>
+        <PokemonInfo pokemonName="mew" />
+      </React.Profiler>
+    </PokemonCacheProvider>,
+  )
+  await screen.findByText(/hyper beam/i)
+  // mew's own request settles right after mew is cached
+  await act(() => new Promise(resolve => setTimeout(resolve, 0)))
+  renders.previous = 0
+  renders.mew = 0
+
+  await act(() => loadPokemon('pikachu'))
+  expect(screen.getByRole('button', {name: /^pikachu$/i})).toBeInTheDocument()
+  expect(renders.previous).toBeGreaterThan(0)
+  expect(renders.mew).toBe(0)
+})
+
+test('edits are applied optimistically and rolled back when they fail', async () => {
+  render(<App />)
+  await userEvent.type(screen.getByLabelText(/pokemon/i), 'ditto')
+  await userEvent.click(screen.getByText(/^submit$/i))
+  await screen.findByText(/struggle/i)
+  await userEvent.click(screen.getByLabelText(/edit mode/i))
+  // the nickname isn't part of the details, so it's loaded for editing
+  await waitForElementToBeRemoved(() => screen.queryByText(/loading attack 1/i))
+  expect(window.fetch).toHaveBeenCalledTimes(2)
+
+  await userEvent.type(screen.getByLabelText(/nickname/i), 'Blob')
+  await userEvent.click(screen.getByRole('button', {name: /save/i}))
+  // shown right away, before the write has finished
+  expect(screen.getByText('"Blob"')).toBeInTheDocument()
+  await waitFor(() => expect(window.fetch).toHaveBeenCalledTimes(3))
+
+  await userEvent.type(screen.getByLabelText(/attack name/i), 'Struggle')
+  await userEvent.type(screen.getByLabelText(/attack type/i), 'Normal')
+  await userEvent.type(screen.getByLabelText(/attack damage/i), '20')
+  await userEvent.click(screen.getByRole('button', {name: /add attack/i}))
+  expect(screen.getAllByText('Struggle')).toHaveLength(2)
+
+  expect(await screen.findByRole('alert')).toHaveTextContent(
+    /ditto already knows struggle/i,
+  )
+  expect(screen.getAllByText('Struggle')).toHaveLength(1)
+  expect(screen.getByText('"Blob"')).toBeInTheDocument()
+})
+
+function deferred() {
+  let resolve, reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return {promise, resolve, reject}
+}
+
+test('only the latest edit rolls back, to the data the server confirmed', async () => {
+  const storage = {
+    getAll: () => Promise.resolve({}),
+    set: jest.fn(() => Promise.resolve()),
+    remove: jest.fn(() => Promise.resolve()),
+  }
+  const {result} = renderHook(
+    () => ({cache: usePokemonCache(), ditto: usePokemon('ditto')}),
+    {
+      wrapper: ({children}) => (
+        <PokemonCacheProvider storage={storage}>
+          {children}
+        </PokemonCacheProvider>
+      ),
+    },
+  )
+  const [, , {loadPokemon, mutatePokemon}] = result.current.cache
+  await act(() => loadPokemon('ditto', {selection: pokemonFragments.editable}))
+  const original = result.current.ditto
+  const {updatedAt} = result.current.cache[0].entries[original.id]
+  storage.set.mockClear()
+
+  const tackle = {name: 'Tackle', type: 'Normal', damage: '10'}
+  const nicknameWrite = deferred()
+  const attackWrite = deferred()
+  act(() => {
+    mutatePokemon(
+      'ditto',
+      pokemon => ({...pokemon, nickname: 'Blob'}),
+      () => nicknameWrite.promise,
+    ).catch(() => {})
+    mutatePokemon(
+      'ditto',
+      pokemon => ({
+        ...pokemon,
+        attacks: {special: [...pokemon.attacks.special, tackle]},
+      }),
+      () => attackWrite.promise,
+    ).catch(() => {})
+  })
+  expect(result.current.ditto.nickname).toBe('Blob')
+  expect(result.current.ditto.attacks.special).toContainEqual(tackle)
+
+  // the attack was added on top of the nickname and is still in flight
+  await act(async () => nicknameWrite.reject(new Error('nope')))
+  expect(result.current.ditto.attacks.special).toContainEqual(tackle)
+
+  await act(async () => attackWrite.reject(new Error('nope')))
+  expect(result.current.ditto).toEqual(original)
+  // none of it was persisted or counted as an update of the entry
+  expect(storage.set).not.toHaveBeenCalled()
+  expect(result.current.cache[0].entries[original.id].updatedAt).toBe(updatedAt)
+})
+
+test('compares several pokemon fetched in parallel', async () => {
+  render(<App />)
+  await userEvent.click(screen.getByLabelText(/compare mode/i))
+  expect(screen.getByText(/submit some pokemon/i)).toBeInTheDocument()
+
+  await userEvent.click(screen.getByRole('button', {name: '"charizard"'}))
+  await userEvent.type(screen.getByRole('combobox'), 'mew')
+  await userEvent.click(screen.getByText(/^submit$/i))
+
+  expect(screen.getByText(/loading charizard, mew/i)).toBeInTheDocument()
+  const table = await screen.findByRole('table')
+  expect(window.fetch).toHaveBeenCalledTimes(2)
+  expect(
+    within(table)
+      .getAllByRole('columnheader')
+      .map(header => header.textContent),
+  ).toEqual(['Type', 'Charizard 006', 'Mew 151'])
+
+  // both know Fire Blast, the strongest fire attack
+  const fireRow = within(table).getByRole('row', {name: /^fire/i})
+  expect(within(fireRow).getByText('Flamethrower: 55')).not.toHaveClass(
+    'pokemon-compare__best',
+  )
+  const fireBlasts = within(fireRow).getAllByText('Fire Blast: 100')
+  expect(fireBlasts).toHaveLength(2)
+  fireBlasts.forEach(attack =>
+    expect(attack).toHaveClass('pokemon-compare__best'),
+  )
+
+  const totalRow = within(table).getByRole('row', {name: /total damage/i})
+  expect(totalRow).toHaveTextContent('Total damage190825')
+})
+
+test('compares the pokemon that could be loaded', async () => {
+  console.error.mockImplementation(() => {})
+  render(<App />)
+  await userEvent.click(screen.getByLabelText(/compare mode/i))
+  await userEvent.type(screen.getByRole('combobox'), 'ditto,')
+  await userEvent.click(screen.getByRole('button', {name: '"mew"'}))
+  expect(
+    within(screen.getByRole('list', {name: /selected pokemon/i}))
+      .getAllByRole('listitem')
+      .map(item => item.firstChild.textContent),
+  ).toEqual(['ditto', 'mew'])
+  await userEvent.type(screen.getByRole('combobox'), 'george')
+  await userEvent.click(screen.getByText(/^submit$/i))
+
+  expect(await screen.findByRole('alert')).toHaveTextContent(
+    /couldn't load george/i,
+  )
+  expect(
+    within(screen.getByRole('table'))
+      .getAllByRole('columnheader')
+      .map(header => header.textContent),
+  ).toEqual(['Type', 'Ditto 132', 'Mew 151'])
+})
+
+test('waits to be back online to load a pokemon that is not cached', async () => {
+  render(<App />)
+  const input = screen.getByLabelText(/pokemon/i)
+  await userEvent.type(input, 'ditto')
+  await userEvent.click(screen.getByText(/^submit$/i))
+  await screen.findByText(/struggle/i)
+
+  const onLine = jest
+    .spyOn(window.navigator, 'onLine', 'get')
+    .mockReturnValue(false)
+  window.fetch.mockClear()
+
+  await userEvent.clear(input)
+  await userEvent.type(input, 'mew')
+  await userEvent.click(screen.getByText(/^submit$/i))
+  expect(
+    await screen.findByText(/waiting for a connection/i),
+  ).toBeInTheDocument()
+
+  // the cached pokemon are still available while offline
+  await userEvent.click(screen.getByRole('button', {name: /^ditto$/i}))
+  expect(screen.getByText(/struggle/i)).toBeInTheDocument()
+  await userEvent.click(
+    within(screen.getByText(/^try/i)).getByRole('button', {name: '"mew"'}),
+  )
+  expect(window.fetch).not.toHaveBeenCalled()
+
+  onLine.mockRestore()
+  act(() => {
+    window.dispatchEvent(new Event('online'))
+  })
+  expect(await screen.findByText(/hyper beam/i)).toBeInTheDocument()
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+})
+
+test('the cache devtools show the entries and log the cache actions', async () => {
+  render(<App devtools />)
+  await userEvent.type(screen.getByLabelText(/pokemon/i), 'pikachu')
+  await userEvent.click(screen.getByText(/^submit$/i))
+  await screen.findByText('Thunderbolt')
+
+  await userEvent.click(
+    screen.getByRole('button', {name: /open cache devtools/i}),
+  )
+  const devtools = screen.getByRole('region', {name: /cache devtools/i})
+  const row = within(devtools).getByRole('row', {name: /pikachu/i})
+  expect(row).toHaveTextContent('UG9rZW1vbjowMjU=')
+  expect(row).toHaveTextContent(/fresh/)
+  const actions = within(devtools).getByRole('list', {name: /cache actions/i})
+  expect(actions).toHaveTextContent(/ADD_POKEMON pikachu/)
+
+  window.fetch.mockClear()
+  await userEvent.click(within(row).getByRole('button', {name: /refetch/i}))
+  expect(row).toHaveTextContent(/fetching/)
+  await waitFor(() => expect(row).toHaveTextContent(/fresh/))
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+
+  await userEvent.click(within(row).getByRole('button', {name: /invalidate/i}))
+  expect(row).toHaveTextContent(/stale/)
+
+  await userEvent.click(
+    within(row).getByRole('button', {name: /remove pikachu from the cache/i}),
+  )
+  expect(within(devtools).queryByRole('row', {name: /pikachu/i})).toBeNull()
+  expect(within(actions).getAllByRole('listitem')[0]).toHaveTextContent(
+    /REMOVE_POKEMON pikachu/,
+  )
+  expect(actions).toHaveTextContent(/INVALIDATE_POKEMON pikachu/)
+})
@@ -0,0 +1,415 @@
+import * as React from 'react'
+import {render, screen, waitFor, act} from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import {resetPokemonDb} from '../backend'
+import {
+  fetchPokemon,
+  fetchPokemonList,
+  searchPokemon,
+  updatePokemon,
+  addAttack,
+  removeAttack,
+  pokemonFragments,
+  satisfiesSelection,
+  mergePokemonData,
+  PokemonForm,
+  PokemonApiProvider,
+  usePokemonClient,
+  createPokemonClient,
+  PokemonErrorBoundary,
+  PokemonValidationError,
+  PokemonNotFoundError,
+  PokemonNetworkError,
+  PokemonOfflineError,
+  PokemonMalformedResponseError,
+} from '../pokemon'
+
+beforeEach(() => {
+  jest.spyOn(window, 'fetch')
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  window.fetch.mockRestore()
+  console.error.mockRestore()
+  jest.restoreAllMocks()
+  resetPokemonDb()
+  window.localStorage.clear()
+})
+
+test('an unsupported pokemon rejects with a not found error', async () => {
+  const error = await fetchPokemon('george').catch(e => e)
+  expect(error).toBeInstanceOf(PokemonNotFoundError)
+  expect(error).toMatchObject({
+    kind: 'not-found',
+    status: 404,
+    pokemonName: 'george',
+  })
+  expect(error.message).toMatch(/unsupported pokemon.*george/i)
+  expect(error.errors).toHaveLength(1)
+  expect(error.suggestions).toHaveLength(1)
+})
+
+test('a misspelled pokemon suggests the closest name', async () => {
+  const error = await fetchPokemon('Chrizard').catch(e => e)
+  expect(error.suggestions).toEqual(['charizard'])
+  expect(error.message).toMatch(/try "charizard"/i)
+})
+
+test('a failed request rejects with a network error', async () => {
+  window.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+  const error = await fetchPokemon('pikachu').catch(e => e)
+  expect(error).toBeInstanceOf(PokemonNetworkError)
+  expect(error).toMatchObject({kind: 'network', pokemonName: 'pikachu'})
+})
+
+test('fetching while offline rejects with an offline error', async () => {
+  jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false)
+  const error = await fetchPokemon('pikachu').catch(e => e)
+  expect(error).toBeInstanceOf(PokemonOfflineError)
+  expect(error.kind).toBe('offline')
+  expect(window.fetch).not.toHaveBeenCalled()
+})
+
+test('a response without pokemon data rejects with a malformed error', async () => {
+  window.fetch.mockResolvedValueOnce(
+    new Response(JSON.stringify({data: {}}), {status: 200}),
+  )
+  const error = await fetchPokemon('pikachu').catch(e => e)
+  expect(error).toBeInstanceOf(PokemonMalformedResponseError)
+  expect(error.kind).toBe('malformed')
+})
+
+test('only the selected fields of a pokemon are fetched', async () => {
+  const summary = await fetchPokemon('mew', {
+    selection: pokemonFragments.summary,
+  })
+  const {query} = JSON.parse(window.fetch.mock.calls[0][1].body)
+  expect(query).toMatch(/fragment PokemonSummary on Pokemon/)
+  expect(summary).toEqual({
+    id: expect.any(String),
+    number: '151',
+    name: 'Mew',
+    image: expect.any(String),
+    fetchedAt: expect.any(String),
+  })
+  expect(satisfiesSelection(summary, pokemonFragments.summary)).toBe(true)
+  expect(satisfiesSelection(summary, pokemonFragments.details)).toBe(false)
+
+  // the id is always fetched
+  expect(await fetchPokemon('mew', {selection: {name: true}})).toEqual({
+    id: summary.id,
+    name: 'Mew',
+    fetchedAt: expect.any(String),
+  })
+
+  const details = await fetchPokemon('mew')
+  expect(satisfiesSelection(details, pokemonFragments.details)).toBe(true)
+  expect(
+    mergePokemonData(details, {id: details.id, nickname: 'Pinky'}),
+  ).toEqual({...details, nickname: 'Pinky'})
+  // a record of another pokemon replaces rather than merges
+  expect(mergePokemonData(details, summary)).toEqual({...details, ...summary})
+  expect(mergePokemonData(details, {id: 'other', name: 'Ditto'})).toEqual({
+    id: 'other',
+    name: 'Ditto',
+  })
+})
+
+const getNames = connection => connection.edges.map(edge => edge.node.name)
+
+test('the mock backend lists pokemon a page at a time', async () => {
+  const firstPage = await fetchPokemonList({first: 4})
+  expect(getNames(firstPage)).toEqual([
+    'Bulbasaur',
+    'Charizard',
+    'Pikachu',
+    'Ditto',
+  ])
+  expect(firstPage.totalCount).toBe(6)
+  expect(firstPage.pageInfo.hasNextPage).toBe(true)
+
+  const secondPage = await fetchPokemonList({
+    first: 4,
+    after: firstPage.pageInfo.endCursor,
+  })
+  expect(getNames(secondPage)).toEqual(['Mewtwo', 'Mew'])
+  expect(secondPage.pageInfo.hasNextPage).toBe(false)
+
+  const firePokemon = await fetchPokemonList({type: 'fire'})
+  expect(getNames(firePokemon)).toEqual(['Charizard', 'Mew'])
+
+  await expect(
+    fetchPokemonList({after: 'not-a-cursor'}),
+  ).rejects.toBeInstanceOf(PokemonValidationError)
+})
+
+test('the mock backend searches by prefix, substring and near misses', async () => {
+  expect(getNames(await searchPokemon('mew'))).toEqual(['Mewtwo', 'Mew'])
+  expect(getNames(await searchPokemon('zard'))).toEqual(['Charizard'])
+  expect(getNames(await searchPokemon('pikachoo'))).toEqual(['Pikachu'])
+  expect(getNames(await searchPokemon('mew', {type: 'ghost'}))).toEqual([
+    'Mewtwo',
+  ])
+  expect(getNames(await searchPokemon('xyz'))).toEqual([])
+})
+
+test('the mock backend updates nicknames and attacks', async () => {
+  expect(await updatePokemon('Pikachu', {nickname: ' Sparky '})).toMatchObject({
+    nickname: 'Sparky',
+  })
+  await addAttack('pikachu', {name: 'Quick Attack', type: 'Normal', damage: 10})
+  const pikachu = await removeAttack('pikachu', 'Thunder')
+  expect(pikachu.attacks.special.map(attack => attack.name)).toEqual([
+    'Discharge',
+    'Thunderbolt',
+    'Quick Attack',
+  ])
+
+  // and the changes stick
+  expect(
+    await fetchPokemon('pikachu', {selection: pokemonFragments.editable}),
+  ).toMatchObject({
+    nickname: 'Sparky',
+    attacks: {special: pikachu.attacks.special},
+  })
+})
+
+test('the mock backend validates mutation inputs', async () => {
+  const error = await addAttack('pikachu', {
+    name: 'Thunder',
+    type: 'Electric',
+    damage: 100,
+  }).catch(e => e)
+  expect(error).toBeInstanceOf(PokemonValidationError)
+  expect(error).toMatchObject({kind: 'invalid', status: 400})
+  expect(error.message).toMatch(/already knows thunder/i)
+
+  await expect(
+    addAttack('pikachu', {name: 'Zap', type: 'Electric', damage: 9000}),
+  ).rejects.toThrow(/damage/i)
+  await expect(
+    updatePokemon('pikachu', {nickname: 'x'.repeat(21)}),
+  ).rejects.toThrow(/20 characters/i)
+  await expect(removeAttack('george', 'Thunder')).rejects.toBeInstanceOf(
+    PokemonNotFoundError,
+  )
+})
+
+function Thrower({error}) {
+  throw error
+}
+
+test('the error fallback renders a message per kind of error', () => {
+  render(
+    <PokemonErrorBoundary>
+      <Thrower error={new PokemonNetworkError({pokemonName: 'pikachu'})} />
+    </PokemonErrorBoundary>,
+  )
+  expect(screen.getByRole('alert')).toHaveTextContent(/check your connection/i)
+})
+
+test('the error fallback waits to be back online before trying again', () => {
+  const onLine = jest
+    .spyOn(window.navigator, 'onLine', 'get')
+    .mockReturnValue(false)
+  render(
+    <PokemonErrorBoundary>
+      <Thrower error={new PokemonOfflineError({pokemonName: 'pikachu'})} />
+    </PokemonErrorBoundary>,
+  )
+  expect(screen.getByRole('alert')).toHaveTextContent(/you're offline/i)
+  expect(screen.getByRole('button', {name: /try again/i})).toBeDisabled()
+
+  onLine.mockReturnValue(true)
+  act(() => {
+    window.dispatchEvent(new Event('online'))
+  })
+  expect(screen.getByRole('alert')).toHaveTextContent(/back online/i)
+  expect(screen.getByRole('button', {name: /try again/i})).toBeEnabled()
+})
+
+test('the error fallback offers the suggested names for a missing pokemon', async () => {
+  const handleSelect = jest.fn()
+  const error = new PokemonNotFoundError({
+    pokemonName: 'pikachoo',
+    status: 404,
+    errors: [{message: 'nope', extensions: {suggestions: ['pikachu']}}],
+  })
+  render(
+    <PokemonErrorBoundary onSelect={handleSelect}>
+      <Thrower error={error} />
+    </PokemonErrorBoundary>,
+  )
+  expect(screen.getByRole('alert')).toHaveTextContent(/spelling/i)
+  await userEvent.click(screen.getByRole('button', {name: /pikachu/i}))
+  expect(handleSelect).toHaveBeenCalledWith('pikachu')
+})
+
+test('the pokemon form suggests matching pokemon as you type', async () => {
+  const handleSubmit = jest.fn()
+  render(<PokemonForm onSubmit={handleSubmit} />)
+  const combobox = screen.getByRole('combobox', {name: /pokemon name/i})
+  expect(combobox).toHaveAttribute('aria-expanded', 'false')
+
+  await userEvent.type(combobox, 'mew')
+  const options = await screen.findAllByRole('option')
+  expect(options.map(option => option.textContent)).toEqual(['Mewtwo', 'Mew'])
+  expect(combobox).toHaveAttribute('aria-expanded', 'true')
+  // the typing was debounced into a single search
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+
+  await userEvent.keyboard('{ArrowDown}{ArrowDown}')
+  expect(combobox).toHaveAttribute('aria-activedescendant', options[1].id)
+  expect(options[1]).toHaveAttribute('aria-selected', 'true')
+
+  await userEvent.keyboard('{Enter}')
+  expect(handleSubmit).toHaveBeenCalledWith('mew')
+  expect(combobox).toHaveValue('mew')
+  expect(combobox).toHaveAttribute('aria-expanded', 'false')
+})
+
+test('the pokemon form only searches what the user types', async () => {
+  const handleSubmit = jest.fn()
+  const {rerender} = render(
+    <PokemonForm pokemonName="" onSubmit={handleSubmit} />,
+  )
+  const combobox = screen.getByRole('combobox')
+
+  rerender(<PokemonForm pokemonName="pikachu" onSubmit={handleSubmit} />)
+  expect(combobox).toHaveValue('pikachu')
+
+  // submitting cancels the pending search
+  await userEvent.type(combobox, '{Backspace}{Enter}')
+  expect(handleSubmit).toHaveBeenCalledWith('pikach')
+  await new Promise(resolve => setTimeout(resolve, 400))
+  expect(window.fetch).not.toHaveBeenCalled()
+  expect(screen.queryByRole('option')).not.toBeInTheDocument()
+})
+
+test('the pokemon form offers the given suggestions and recent searches', async () => {
+  const handleSubmit = jest.fn()
+  const {unmount} = render(
+    <PokemonForm suggestions={['ditto', 'mew']} onSubmit={handleSubmit} />,
+  )
+  expect(screen.getByText(/try/i)).toHaveTextContent('Try "ditto" or "mew"')
+
+  await userEvent.click(screen.getByRole('button', {name: '"mew"'}))
+  await userEvent.type(
+    screen.getByRole('combobox'),
+    '{Control>}a{/Control}Ditto{Enter}',
+  )
+  expect(handleSubmit.mock.calls).toEqual([['mew'], ['Ditto']])
+  unmount()
+
+  // the recent searches are still there after a reload
+  render(<PokemonForm suggestions={[]} onSubmit={handleSubmit} />)
+  expect(screen.queryByText(/try/i)).not.toBeInTheDocument()
+  expect(screen.getByText(/^recent/i)).toHaveTextContent(
+    'Recent "ditto" or "mew"',
+  )
+
+  await userEvent.click(screen.getByRole('button', {name: /clear/i}))
+  expect(screen.queryByText(/^recent/i)).not.toBeInTheDocument()
+  expect(window.localStorage.getItem('pokemon-recent-searches')).toBe(null)
+})
+
+test('the pokemon form suggests cached pokemon without waiting for a search', async () => {
+  const cachedPokemon = [{id: 'mew-id', name: 'Mew'}]
+  render(<PokemonForm cachedPokemon={cachedPokemon} onSubmit={() => {}} />)
+
+  await userEvent.type(screen.getByRole('combobox'), 'me')
+  expect(screen.getByRole('option')).toHaveTextContent('Mew (cached)')
+  expect(window.fetch).not.toHaveBeenCalled()
+
+  // the search results are added after the cached ones
+  await waitFor(() =>
+    expect(screen.getAllByRole('option').map(o => o.textContent)).toEqual([
+      'Mew (cached)',
+      'Mewtwo',
+    ]),
+  )
+})
+
+function createFakeFetch(data) {
+  return jest.fn(
+    async () => new Response(JSON.stringify({data}), {status: 200}),
+  )
+}
+
+test('requests can be made with a client for another endpoint', async () => {
+  const fetch = createFakeFetch({pokemon: {name: 'Pikachu'}})
+  const client = createPokemonClient({
+    endpoint: 'https://pokemon.example.com/graphql',
+    headers: {authorization: 'Bearer secret'},
+    fetch,
+  })
+
+  expect(await fetchPokemon('pikachu', {client})).toMatchObject({
+    name: 'Pikachu',
+  })
+  expect(window.fetch).not.toHaveBeenCalled()
+  expect(fetch).toHaveBeenCalledWith(
+    'https://pokemon.example.com/graphql',
+    expect.objectContaining({
+      method: 'POST',
+      headers: expect.objectContaining({authorization: 'Bearer secret'}),
+    }),
+  )
+  expect(JSON.parse(fetch.mock.calls[0][1].body).variables).toEqual({
+    name: 'pikachu',
+  })
+})
+
+test('components use the client from the PokemonApiProvider', async () => {
+  const fetch = createFakeFetch({
+    searchPokemon: {edges: [{cursor: '1', node: {id: '1', name: 'Missingno'}}]},
+  })
+  render(
+    <PokemonApiProvider
+      endpoint="https://pokemon.example.com/graphql"
+      fetch={fetch}
+    >
+      <PokemonForm onSubmit={() => {}} />
+    </PokemonApiProvider>,
+  )
+
+  await userEvent.type(screen.getByRole('combobox'), 'miss')
+  expect(await screen.findByRole('option')).toHaveTextContent('Missingno')
+  expect(fetch).toHaveBeenCalledWith(
+    'https://pokemon.example.com/graphql',
+    expect.anything(),
+  )
+  expect(window.fetch).not.toHaveBeenCalled()
+})
+
+test('the PokemonApiProvider keeps its client for inline options', async () => {
+  const clients = []
+  function ClientConsumer() {
+    const client = usePokemonClient()
+    React.useEffect(() => {
+      clients.push(client)
+    }, [client])
+    return null
+  }
+  const fetch = createFakeFetch({pokemon: {name: 'Pikachu'}})
+  // the headers and fetch function are new objects on every render
+  const ui = authorization => (
+    <PokemonApiProvider
+      headers={{authorization}}
+      fetch={(...args) => fetch(...args)}
+    >
+      <ClientConsumer />
+    </PokemonApiProvider>
+  )
+
+  const {rerender} = render(ui('Bearer secret'))
+  rerender(ui('Bearer secret'))
+  expect(clients).toHaveLength(1)
+  await fetchPokemon('pikachu', {client: clients[0]})
+  expect(fetch).toHaveBeenCalledTimes(1)
+
+  rerender(ui('Bearer other'))
+  expect(clients).toHaveLength(2)
+  expect(clients[1].headers).toEqual({authorization: 'Bearer other'})
+})
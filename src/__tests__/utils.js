@@ -0,0 +1,599 @@
+import * as React from 'react'
+import {renderHook, render, screen, waitFor, act} from '@testing-library/react'
+import {useAsync, useAsyncAll, createResource, useAsyncResource} from '../utils'
+import {fetchPokemon, PokemonNetworkError} from '../pokemon'
+
+beforeEach(() => {
+  // the mock server doesn't sleep in tests, so we honor the delay header here
+  const originalFetch = window.fetch
+  jest.spyOn(window, 'fetch').mockImplementation(async (url, config) => {
+    await new Promise(r => setTimeout(r, Number(config.headers.delay)))
+    return originalFetch(url, config)
+  })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+const wait = time => act(() => new Promise(r => setTimeout(r, time)))
+
+const getFetchSignal = call => window.fetch.mock.calls[call][1].signal
+
+test('a new run aborts the request of the previous one', async () => {
+  const {result} = renderHook(() => useAsync())
+
+  act(() =>
+    result.current.run(signal => fetchPokemon('mew', {delay: 100, signal})),
+  )
+  await waitFor(() => expect(window.fetch).toHaveBeenCalledTimes(1))
+  expect(getFetchSignal(0).aborted).toBe(false)
+
+  act(() =>
+    result.current.run(signal => fetchPokemon('pikachu', {delay: 0, signal})),
+  )
+  await waitFor(() => expect(window.fetch).toHaveBeenCalledTimes(2))
+  expect(getFetchSignal(0).aborted).toBe(true)
+  expect(getFetchSignal(1).aborted).toBe(false)
+
+  await waitFor(() => expect(result.current.status).toBe('resolved'))
+  expect(result.current.data.name).toBe('Pikachu')
+})
+
+test('unmounting aborts the request in flight', async () => {
+  const {result, unmount} = renderHook(() => useAsync())
+
+  act(() =>
+    result.current.run(signal => fetchPokemon('mew', {delay: 100, signal})),
+  )
+  await waitFor(() => expect(window.fetch).toHaveBeenCalledTimes(1))
+  expect(getFetchSignal(0).aborted).toBe(false)
+
+  unmount()
+  expect(getFetchSignal(0).aborted).toBe(true)
+})
+
+test('the last lookup wins even when an earlier one resolves later', async () => {
+  const {result} = renderHook(() => useAsync())
+
+  // neither of these is given the signal so they cannot be aborted
+  act(() => result.current.run(fetchPokemon('mew', {delay: 200})))
+  act(() => result.current.run(fetchPokemon('pikachu', {delay: 0})))
+
+  await waitFor(() => expect(result.current.status).toBe('resolved'))
+  expect(result.current.data.name).toBe('Pikachu')
+
+  // give the slow mew request plenty of time to resolve
+  await wait(300)
+  expect(window.fetch).toHaveBeenCalledTimes(2)
+  expect(result.current.data.name).toBe('Pikachu')
+})
+
+test('a stale rejection does not replace the latest result', async () => {
+  const {result} = renderHook(() => useAsync())
+
+  act(() => result.current.run(fetchPokemon('george', {delay: 200})))
+  act(() => result.current.run(fetchPokemon('charizard', {delay: 0})))
+
+  await waitFor(() => expect(result.current.status).toBe('resolved'))
+  await wait(300)
+  expect(result.current.status).toBe('resolved')
+  expect(result.current.data.name).toBe('Charizard')
+  expect(result.current.error).toBe(null)
+})
+
+test('setData wins over a lookup that is still in flight', async () => {
+  const {result} = renderHook(() => useAsync())
+
+  act(() => result.current.run(fetchPokemon('mew', {delay: 100})))
+  act(() => result.current.setData({name: 'Ditto'}))
+
+  await wait(200)
+  expect(result.current.status).toBe('resolved')
+  expect(result.current.data.name).toBe('Ditto')
+})
+
+test('retries network errors with backoff until the run succeeds', async () => {
+  const networkError = new PokemonNetworkError({pokemonName: 'mew'})
+  const factory = jest
+    .fn()
+    .mockRejectedValueOnce(networkError)
+    .mockRejectedValueOnce(networkError)
+    .mockResolvedValueOnce({name: 'Mew'})
+  const {result} = renderHook(() =>
+    useAsync(undefined, {retry: {backoff: 100, jitter: 0}}),
+  )
+
+  act(() => result.current.run(factory))
+  await waitFor(() => expect(result.current.status).toBe('retrying'))
+  expect(result.current.attempt).toBe(1)
+  expect(result.current.error).toBe(networkError)
+
+  await waitFor(() => expect(result.current.attempt).toBe(2))
+  await waitFor(() => expect(result.current.status).toBe('resolved'))
+  expect(result.current.data).toEqual({name: 'Mew'})
+  expect(factory).toHaveBeenCalledTimes(3)
+})
+
+// the abort listeners that are still added to any signal
+function trackAbortListeners() {
+  const listeners = new Set()
+  const {addEventListener, removeEventListener} = AbortSignal.prototype
+  jest
+    .spyOn(AbortSignal.prototype, 'addEventListener')
+    .mockImplementation(function (type, listener, options) {
+      if (type === 'abort') listeners.add(listener)
+      return addEventListener.call(this, type, listener, options)
+    })
+  jest
+    .spyOn(AbortSignal.prototype, 'removeEventListener')
+    .mockImplementation(function (type, listener, options) {
+      if (type === 'abort') listeners.delete(listener)
+      return removeEventListener.call(this, type, listener, options)
+    })
+  return listeners
+}
+
+test('waiting to retry leaves no abort listeners behind', async () => {
+  const listeners = trackAbortListeners()
+  const networkError = new PokemonNetworkError({pokemonName: 'mew'})
+  const factory = jest
+    .fn()
+    .mockRejectedValueOnce(networkError)
+    .mockRejectedValueOnce(networkError)
+    .mockResolvedValueOnce({name: 'Mew'})
+  const {result} = renderHook(() =>
+    useAsync(undefined, {retry: {backoff: 10, jitter: 0}}),
+  )
+
+  act(() => result.current.run(factory))
+  await waitFor(() => expect(result.current.status).toBe('resolved'))
+  expect(listeners.size).toBe(0)
+})
+
+test('does not retry an unsupported pokemon by default', async () => {
+  const {result} = renderHook(() => useAsync(undefined, {retry: {backoff: 0}}))
+
+  act(() =>
+    result.current.run(signal => fetchPokemon('george', {delay: 0, signal})),
+  )
+  await waitFor(() => expect(result.current.status).toBe('rejected'))
+  expect(result.current.error.message).toMatch(/unsupported pokemon/i)
+  expect(result.current.attempt).toBe(0)
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+})
+
+test('refetches on an interval without going back to pending', async () => {
+  const statuses = []
+  const {result} = renderHook(() => {
+    const async = useAsync(undefined, {refetchInterval: 100})
+    statuses.push(async.status)
+    return async
+  })
+
+  act(() =>
+    result.current.run(signal => fetchPokemon('pikachu', {delay: 0, signal})),
+  )
+  await waitFor(() => expect(result.current.status).toBe('resolved'))
+  const {fetchedAt} = result.current.data
+  statuses.length = 0
+
+  await waitFor(() => expect(result.current.data.fetchedAt).not.toBe(fetchedAt))
+  expect(window.fetch.mock.calls.length).toBeGreaterThan(1)
+  expect(statuses).not.toContain('pending')
+  expect(result.current.isFetching).toBe(false)
+})
+
+test('pauses polling while the document is hidden', async () => {
+  const {result} = renderHook(() => useAsync(undefined, {refetchInterval: 50}))
+  act(() =>
+    result.current.run(signal => fetchPokemon('pikachu', {delay: 0, signal})),
+  )
+  await waitFor(() => expect(result.current.status).toBe('resolved'))
+
+  const visibility = jest
+    .spyOn(document, 'visibilityState', 'get')
+    .mockReturnValue('hidden')
+  act(() => {
+    document.dispatchEvent(new Event('visibilitychange'))
+  })
+  window.fetch.mockClear()
+  await wait(200)
+  expect(window.fetch).not.toHaveBeenCalled()
+
+  visibility.mockReturnValue('visible')
+  act(() => {
+    document.dispatchEvent(new Event('visibilitychange'))
+  })
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+  visibility.mockRestore()
+})
+
+function goOffline() {
+  const onLine = jest.spyOn(window.navigator, 'onLine', 'get')
+  onLine.mockReturnValue(false)
+  act(() => {
+    window.dispatchEvent(new Event('offline'))
+  })
+  return function goOnline() {
+    onLine.mockRestore()
+    act(() => {
+      window.dispatchEvent(new Event('online'))
+    })
+  }
+}
+
+test('pauses a run while offline and runs it again once back online', async () => {
+  const {result} = renderHook(() => useAsync())
+  const goOnline = goOffline()
+
+  act(() =>
+    result.current.run(signal => fetchPokemon('pikachu', {delay: 0, signal})),
+  )
+  await waitFor(() => expect(result.current.isPaused).toBe(true))
+  expect(result.current.status).toBe('pending')
+  expect(window.fetch).not.toHaveBeenCalled()
+
+  goOnline()
+  await waitFor(() => expect(result.current.status).toBe('resolved'))
+  expect(result.current.isPaused).toBe(false)
+  expect(result.current.data.name).toBe('Pikachu')
+  expect(window.fetch).toHaveBeenCalledTimes(1)
+})
+
+test('a run that was paused while offline leaves no listeners behind', async () => {
+  const listeners = trackAbortListeners()
+  const {result} = renderHook(() => useAsync())
+  const goOnline = goOffline()
+
+  act(() =>
+    result.current.run(signal => fetchPokemon('pikachu', {delay: 0, signal})),
+  )
+  await waitFor(() => expect(result.current.isPaused).toBe(true))
+  goOnline()
+  await waitFor(() => expect(result.current.status).toBe('resolved'))
+  expect(listeners.size).toBe(0)
+})
+
+test('does not retry or pause for an error thrown by the factory', async () => {
+  const {result} = renderHook(() => useAsync(undefined, {retry: {backoff: 0}}))
+  const goOnline = goOffline()
+  const factory = jest.fn(async () => {
+    const pokemon = undefined
+    return pokemon.name
+  })
+
+  act(() => result.current.run(factory))
+  await waitFor(() => expect(result.current.status).toBe('rejected'))
+  expect(result.current.error).toBeInstanceOf(TypeError)
+  expect(result.current.isPaused).toBe(false)
+  expect(factory).toHaveBeenCalledTimes(1)
+  goOnline()
+})
+
+function deferred() {
+  let resolve, reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return {promise, resolve, reject}
+}
+
+test('mutate applies the optimistic data and keeps it when the write succeeds', async () => {
+  const {result} = renderHook(() =>
+    useAsync({status: 'resolved', data: {name: 'Pikachu', nickname: null}}),
+  )
+  const write = deferred()
+
+  act(() => {
+    result.current.mutate(
+      pokemon => ({...pokemon, nickname: 'Sparky'}),
+      write.promise,
+    )
+  })
+  expect(result.current.data.nickname).toBe('Sparky')
+
+  await act(async () => {
+    write.resolve({name: 'Pikachu', nickname: 'Sparky!'})
+  })
+  expect(result.current.status).toBe('resolved')
+  expect(result.current.data.nickname).toBe('Sparky!')
+})
+
+test('mutate rolls back when the write fails', async () => {
+  const {result} = renderHook(() =>
+    useAsync({status: 'resolved', data: {name: 'Pikachu', nickname: null}}),
+  )
+  const write = deferred()
+
+  act(() => {
+    result.current.mutate({name: 'Pikachu', nickname: 'Sparky'}, write.promise)
+  })
+  expect(result.current.data.nickname).toBe('Sparky')
+
+  const error = new Error('nope')
+  await act(async () => {
+    write.reject(error)
+  })
+  expect(result.current.status).toBe('rejected')
+  expect(result.current.error).toBe(error)
+  expect(result.current.data).toEqual({name: 'Pikachu', nickname: null})
+})
+
+test('overlapping mutations that fail roll back to the confirmed data', async () => {
+  const {result} = renderHook(() =>
+    useAsync({status: 'resolved', data: {name: 'Ditto', nickname: null}}),
+  )
+  const nicknameWrite = deferred()
+  const attacksWrite = deferred()
+
+  act(() => {
+    result.current.mutate(
+      pokemon => ({...pokemon, nickname: 'Blob'}),
+      nicknameWrite.promise,
+    )
+    result.current.mutate(
+      pokemon => ({...pokemon, attacks: ['Tackle']}),
+      attacksWrite.promise,
+    )
+  })
+  expect(result.current.data).toEqual({
+    name: 'Ditto',
+    nickname: 'Blob',
+    attacks: ['Tackle'],
+  })
+
+  // the newer mutation is still in flight, so nothing changes yet
+  await act(async () => nicknameWrite.reject(new Error('nickname failed')))
+  expect(result.current.status).toBe('resolved')
+  expect(result.current.data.attacks).toEqual(['Tackle'])
+
+  const error = new Error('attacks failed')
+  await act(async () => attacksWrite.reject(error))
+  expect(result.current.status).toBe('rejected')
+  expect(result.current.error).toBe(error)
+  expect(result.current.data).toEqual({name: 'Ditto', nickname: null})
+})
+
+test('a failed mutation rolls back to what an earlier one confirmed', async () => {
+  const {result} = renderHook(() =>
+    useAsync({status: 'resolved', data: {name: 'Ditto', nickname: null}}),
+  )
+  const nicknameWrite = deferred()
+  const attacksWrite = deferred()
+
+  act(() => {
+    result.current.mutate(
+      pokemon => ({...pokemon, nickname: 'Blob'}),
+      nicknameWrite.promise,
+    )
+    result.current.mutate(
+      pokemon => ({...pokemon, attacks: ['Tackle']}),
+      attacksWrite.promise,
+    )
+  })
+
+  await act(async () =>
+    nicknameWrite.resolve({name: 'Ditto', nickname: 'Blob'}),
+  )
+  await act(async () => attacksWrite.reject(new Error('attacks failed')))
+  expect(result.current.status).toBe('rejected')
+  expect(result.current.data).toEqual({name: 'Ditto', nickname: 'Blob'})
+})
+
+const getStatuses = results => results.map(result => result.status)
+
+test('useAsyncAll is partial when only some of the queries resolve', async () => {
+  const {result} = renderHook(() => useAsyncAll())
+
+  act(() =>
+    result.current.run([
+      signal => fetchPokemon('pikachu', {delay: 50, signal}),
+      signal => fetchPokemon('george', {delay: 0, signal}),
+    ]),
+  )
+  expect(result.current.status).toBe('pending')
+
+  await waitFor(() => expect(result.current.status).toBe('partial'))
+  expect(getStatuses(result.current.results)).toEqual(['resolved', 'rejected'])
+  expect(result.current.data[0].name).toBe('Pikachu')
+  expect(result.current.error.message).toMatch(/unsupported pokemon/i)
+})
+
+test('useAsyncAll aborts the rest when one rejects in fail fast mode', async () => {
+  const {result} = renderHook(() => useAsyncAll({failFast: true}))
+  const slowQuery = deferred()
+  let slowSignal
+
+  act(() =>
+    result.current.run([
+      signal => {
+        slowSignal = signal
+        return slowQuery.promise
+      },
+      () => Promise.reject(new Error('nope')),
+    ]),
+  )
+
+  await waitFor(() => expect(result.current.status).toBe('rejected'))
+  expect(result.current.error.message).toBe('nope')
+  expect(slowSignal.aborted).toBe(true)
+  expect(getStatuses(result.current.results)).toEqual(['idle', 'rejected'])
+
+  // the aborted query resolving anyway doesn't change anything
+  await act(async () => slowQuery.resolve('too late'))
+  expect(result.current.data).toEqual([null, null])
+})
+
+test('useAsyncAll starts dependent queries once their dependencies resolve', async () => {
+  const {result} = renderHook(() => useAsyncAll())
+  const first = deferred()
+  const second = jest.fn((signal, {first: name}) =>
+    fetchPokemon(name, {delay: 0, signal}),
+  )
+  const third = jest.fn()
+
+  act(() =>
+    result.current.run([
+      {key: 'first', factory: () => first.promise},
+      {key: 'second', dependsOn: 'first', factory: second},
+      {key: 'broken', factory: () => Promise.reject(new Error('nope'))},
+      {key: 'third', dependsOn: ['second', 'broken'], factory: third},
+    ]),
+  )
+  await wait(50)
+  expect(second).not.toHaveBeenCalled()
+  expect(getStatuses(result.current.results)).toEqual([
+    'pending',
+    'idle',
+    'rejected',
+    'idle',
+  ])
+
+  await act(async () => first.resolve('mew'))
+  await waitFor(() => expect(result.current.status).toBe('partial'))
+  expect(second).toHaveBeenCalledWith(expect.any(AbortSignal), {first: 'mew'})
+  expect(result.current.data[1].name).toBe('Mew')
+  // one of the things it depends on rejected so it never starts
+  expect(third).not.toHaveBeenCalled()
+  expect(getStatuses(result.current.results)).toEqual([
+    'resolved',
+    'resolved',
+    'rejected',
+    'idle',
+  ])
+})
+
+test('useAsyncAll rejects without starting anything when dependencies are circular', async () => {
+  const {result} = renderHook(() => useAsyncAll())
+  const factory = jest.fn(() => Promise.resolve('mew'))
+
+  act(() =>
+    result.current.run([
+      {key: 'independent', factory},
+      {key: 'first', dependsOn: 'second', factory},
+      {key: 'second', dependsOn: 'first', factory},
+    ]),
+  )
+  expect(result.current.status).toBe('rejected')
+  expect(result.current.error.message).toBe('Circular dependency on first')
+  expect(getStatuses(result.current.results)).toEqual(['idle', 'idle', 'idle'])
+
+  act(() => result.current.run([{key: 'first', dependsOn: 'missing', factory}]))
+  expect(result.current.error.message).toBe(
+    'first depends on unknown key missing',
+  )
+  await wait(0)
+  expect(factory).not.toHaveBeenCalled()
+})
+
+function PokemonName({pokemonResource}) {
+  return pokemonResource.read().name
+}
+
+test('a resource suspends until its promise resolves', async () => {
+  const pokemonResource = createResource(fetchPokemon('mew', {delay: 0}))
+  render(
+    <React.Suspense fallback="loading...">
+      <PokemonName pokemonResource={pokemonResource} />
+    </React.Suspense>,
+  )
+  expect(screen.getByText('loading...')).toBeInTheDocument()
+  expect(await screen.findByText('Mew')).toBeInTheDocument()
+})
+
+test('a resource created from data never suspends', () => {
+  render(
+    <React.Suspense fallback="loading...">
+      <PokemonName pokemonResource={createResource({name: 'Ditto'})} />
+    </React.Suspense>,
+  )
+  expect(screen.getByText('Ditto')).toBeInTheDocument()
+})
+
+function PokemonResource({pokemonName, onResource}) {
+  const {resource, run, setData} = useAsyncResource(pokemonName)
+  React.useLayoutEffect(() => {
+    onResource({run, setData})
+  })
+  return resource ? (
+    <React.Suspense fallback="loading...">
+      <PokemonName pokemonResource={resource} />
+    </React.Suspense>
+  ) : (
+    'no resource'
+  )
+}
+
+function renderPokemonResource(pokemonName) {
+  const helpers = {}
+  const onResource = current => Object.assign(helpers, current)
+  const utils = render(
+    <PokemonResource pokemonName={pokemonName} onResource={onResource} />,
+  )
+  const rerender = newPokemonName =>
+    utils.rerender(
+      <PokemonResource pokemonName={newPokemonName} onResource={onResource} />,
+    )
+  return {...utils, helpers, rerender}
+}
+
+test('useAsyncResource suspends until the run resolves', async () => {
+  const {helpers} = renderPokemonResource('mew')
+  expect(screen.getByText('no resource')).toBeInTheDocument()
+
+  act(() => helpers.run(signal => fetchPokemon('mew', {delay: 0, signal})))
+  expect(screen.getByText('loading...')).toBeInTheDocument()
+  expect(await screen.findByText('Mew')).toBeInTheDocument()
+})
+
+test('useAsyncResource only returns the resource for its key', async () => {
+  const {helpers, rerender} = renderPokemonResource('mew')
+
+  act(() => helpers.setData({name: 'Mew'}))
+  expect(screen.getByText('Mew')).toBeInTheDocument()
+
+  rerender('ditto')
+  expect(screen.getByText('no resource')).toBeInTheDocument()
+
+  act(() => helpers.setData({name: 'Ditto'}))
+  expect(screen.getByText('Ditto')).toBeInTheDocument()
+})
+
+test('useAsyncResource aborts the run in flight when a new one starts', async () => {
+  const {helpers, rerender} = renderPokemonResource('mew')
+
+  act(() => helpers.run(signal => fetchPokemon('mew', {delay: 100, signal})))
+  rerender('ditto')
+  act(() => helpers.run(signal => fetchPokemon('ditto', {delay: 0, signal})))
+  expect(getFetchSignal(0).aborted).toBe(true)
+  expect(await screen.findByText('Ditto')).toBeInTheDocument()
+})
+
+test('reading a useAsyncResource throws the error of a rejected run', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+  class ErrorBoundary extends React.Component {
+    state = {error: null}
+    static getDerivedStateFromError(error) {
+      return {error}
+    }
+    render() {
+      return this.state.error ? this.state.error.message : this.props.children
+    }
+  }
+  const {result} = renderHook(() => useAsyncResource('george'))
+
+  act(() =>
+    result.current.run(Promise.reject(new Error('Unsupported pokemon'))),
+  )
+  render(
+    <ErrorBoundary>
+      <React.Suspense fallback="loading...">
+        <PokemonName pokemonResource={result.current.resource} />
+      </React.Suspense>
+    </ErrorBoundary>,
+  )
+  expect(await screen.findByText('Unsupported pokemon')).toBeInTheDocument()
+  console.error.mockRestore()
+})
@@ -1,29 +1,325 @@
 import {graphql} from '@kentcdodds/react-workshop-app/server'
+import {parse} from 'graphql'
+import {defaultPokemonApiConfig} from './pokemon-client'
 
-const pokemonApi = graphql.link('https://graphql-pokemon2.vercel.app')
+// the mutations change this copy (so reloading the module starts over)
+let pokemonDb = null
 
-export const handlers = [
-  pokemonApi.query('PokemonInfo', (req, res, ctx) => {
-    const pokemon = allPokemon[req.variables.name.toLowerCase()]
-    if (pokemon) {
-      return res(ctx.status(200), ctx.data({pokemon}))
+function getPokemonDb() {
+  if (!pokemonDb) {
+    pokemonDb = {}
+    for (const [key, pokemon] of Object.entries(allPokemon)) {
+      pokemonDb[key] = {nickname: null, ...JSON.parse(JSON.stringify(pokemon))}
+    }
+  }
+  return pokemonDb
+}
+
+export function resetPokemonDb() {
+  pokemonDb = null
+}
+
+// the number of single character edits it takes to turn a into b
+function editDistance(a, b) {
+  let previous = Array.from({length: b.length + 1}, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+function getClosestName(name) {
+  const query = name.toLowerCase()
+  let closest = null
+  let closestDistance = Infinity
+  for (const pokemonName of Object.keys(allPokemon)) {
+    const distance = editDistance(query, pokemonName)
+    if (distance < closestDistance) {
+      closest = pokemonName
+      closestDistance = distance
+    }
+  }
+  return closest
+}
+
+function notFound(res, ctx, name) {
+  const closestName = getClosestName(name)
+  return res(
+    ctx.status(404),
+    ctx.data({
+      errors: [
+        {
+          message: `Unsupported pokemon: "${name}". Try "${closestName}"`,
+          extensions: {suggestions: [closestName]},
+        },
+      ],
+    }),
+  )
+}
+
+function mergeSelected(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.map((item, index) => mergeSelected(item, b[index]))
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const merged = {...a}
+    for (const [key, value] of Object.entries(b)) {
+      merged[key] = key in a ? mergeSelected(a[key], value) : value
+    }
+    return merged
+  }
+  return b
+}
+
+// picks just the fields that were selected out of the value (including the
+// ones selected with fragments) the way a real GraphQL server would
+function selectFields(value, selectionSet, fragments) {
+  if (Array.isArray(value)) {
+    return value.map(item => selectFields(item, selectionSet, fragments))
+  }
+  if (!selectionSet || value === null || typeof value !== 'object') {
+    return value
+  }
+  let selected = {}
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === 'Field') {
+      const name = selection.name.value
+      const fieldValue = selectFields(
+        value[name],
+        selection.selectionSet,
+        fragments,
+      )
+      selected = mergeSelected(selected, {
+        [selection.alias?.value ?? name]:
+          fieldValue === undefined ? null : fieldValue,
+      })
     } else {
-      const pokemonNames = Object.keys(allPokemon)
-      const randomName =
-        pokemonNames[Math.floor(pokemonNames.length * Math.random())]
-      return res(
-        ctx.status(404),
-        ctx.data({
-          errors: [
-            {
-              message: `Unsupported pokemon: "${req.variables.name}". Try "${randomName}"`,
-            },
-          ],
-        }),
+      const fragment =
+        selection.kind === 'FragmentSpread'
+          ? fragments[selection.name.value]
+          : selection
+      selected = mergeSelected(
+        selected,
+        selectFields(value, fragment.selectionSet, fragments),
       )
     }
-  }),
-]
+  }
+  return selected
+}
+
+function respond(req, res, ctx, data) {
+  const document = parse(req.body.query)
+  const fragments = {}
+  let operation
+  for (const definition of document.definitions) {
+    if (definition.kind === 'FragmentDefinition') {
+      fragments[definition.name.value] = definition
+    } else if (definition.kind === 'OperationDefinition') {
+      operation = definition
+    }
+  }
+  return res(
+    ctx.status(200),
+    ctx.data(selectFields(data, operation.selectionSet, fragments)),
+  )
+}
+
+function invalidInput(res, ctx, message, field) {
+  return res(
+    ctx.status(400),
+    ctx.data({
+      errors: [{message, extensions: {code: 'BAD_USER_INPUT', field}}],
+    }),
+  )
+}
+
+const isNonEmptyString = value =>
+  typeof value === 'string' && value.trim().length > 0
+
+function validateAttack(attack) {
+  if (!isNonEmptyString(attack?.name)) {
+    return ['An attack needs a name', 'name']
+  } else if (!isNonEmptyString(attack.type)) {
+    return ['An attack needs a type', 'type']
+  } else if (
+    !Number.isInteger(attack.damage) ||
+    attack.damage < 0 ||
+    attack.damage > 200
+  ) {
+    return ['Damage must be a whole number from 0 to 200', 'damage']
+  }
+  return null
+}
+
+const hasAttackOfType = (pokemon, type) =>
+  pokemon.attacks.special.some(
+    attack => attack.type.toLowerCase() === type.toLowerCase(),
+  )
+
+// lower is a better match and null means it's not a match at all.
+// prefixes beat substrings, which beat names that are a typo or two off.
+function getMatchScore(query, pokemonName) {
+  if (pokemonName.startsWith(query)) return 0
+  if (pokemonName.includes(query)) return 1
+  const distance = Math.min(
+    editDistance(query, pokemonName),
+    editDistance(query, pokemonName.slice(0, query.length)),
+  )
+  return distance <= Math.floor(query.length / 3) ? 1 + distance : null
+}
+
+// the cursor of a pokemon is its id, so "after" is the id of the last
+// pokemon on the previous page.
+function paginate(req, res, ctx, field, pokemon, {first = 10, after}) {
+  if (!Number.isInteger(first) || first < 1 || first > 50) {
+    return invalidInput(res, ctx, 'first must be from 1 to 50', 'first')
+  }
+  let start = 0
+  if (after != null) {
+    start = pokemon.findIndex(p => p.id === after) + 1
+    if (start === 0) {
+      return invalidInput(res, ctx, `Invalid cursor: "${after}"`, 'after')
+    }
+  }
+  const edges = pokemon
+    .slice(start, start + first)
+    .map(node => ({cursor: node.id, node}))
+  return respond(req, res, ctx, {
+    [field]: {
+      edges,
+      pageInfo: {
+        endCursor: edges.length ? edges[edges.length - 1].cursor : null,
+        hasNextPage: start + first < pokemon.length,
+      },
+      totalCount: pokemon.length,
+    },
+  })
+}
+
+// handles requests to the same endpoint the pokemon client uses by default
+export function createHandlers({
+  endpoint = defaultPokemonApiConfig.endpoint,
+} = {}) {
+  const pokemonApi = graphql.link(endpoint)
+  return [
+    pokemonApi.query('PokemonList', (req, res, ctx) => {
+      const {type, ...pagination} = req.variables
+      let pokemon = Object.values(getPokemonDb()).sort((a, b) =>
+        a.number.localeCompare(b.number),
+      )
+      if (type) {
+        pokemon = pokemon.filter(p => hasAttackOfType(p, type))
+      }
+      return paginate(req, res, ctx, 'pokemonList', pokemon, pagination)
+    }),
+    pokemonApi.query('SearchPokemon', (req, res, ctx) => {
+      const {query, type, ...pagination} = req.variables
+      if (typeof query !== 'string') {
+        return invalidInput(res, ctx, 'A search needs a query', 'query')
+      }
+      const normalizedQuery = query.trim().toLowerCase()
+      const pokemon = Object.entries(getPokemonDb())
+        .map(([pokemonName, p]) => ({
+          pokemon: p,
+          score: getMatchScore(normalizedQuery, pokemonName),
+        }))
+        .filter(({pokemon: p, score}) => {
+          return score !== null && (!type || hasAttackOfType(p, type))
+        })
+        .sort(
+          (a, b) =>
+            a.score - b.score ||
+            a.pokemon.number.localeCompare(b.pokemon.number),
+        )
+        .map(({pokemon: p}) => p)
+      return paginate(req, res, ctx, 'searchPokemon', pokemon, pagination)
+    }),
+    pokemonApi.query('PokemonInfo', (req, res, ctx) => {
+      const pokemon = getPokemonDb()[req.variables.name.toLowerCase()]
+      if (pokemon) {
+        return respond(req, res, ctx, {pokemon})
+      } else {
+        return notFound(res, ctx, req.variables.name)
+      }
+    }),
+    pokemonApi.mutation('UpdatePokemon', (req, res, ctx) => {
+      const {name, nickname} = req.variables
+      const pokemon = getPokemonDb()[name.toLowerCase()]
+      if (!pokemon) {
+        return notFound(res, ctx, name)
+      } else if (nickname != null && typeof nickname !== 'string') {
+        return invalidInput(res, ctx, 'A nickname must be a string', 'nickname')
+      } else if (nickname?.trim().length > 20) {
+        return invalidInput(
+          res,
+          ctx,
+          'A nickname can be at most 20 characters',
+          'nickname',
+        )
+      }
+      pokemon.nickname = nickname?.trim() || null
+      return respond(req, res, ctx, {updatePokemon: pokemon})
+    }),
+    pokemonApi.mutation('AddAttack', (req, res, ctx) => {
+      const {name, attack} = req.variables
+      const pokemon = getPokemonDb()[name.toLowerCase()]
+      if (!pokemon) {
+        return notFound(res, ctx, name)
+      }
+      const invalid = validateAttack(attack)
+      if (invalid) {
+        return invalidInput(res, ctx, ...invalid)
+      }
+      const attackName = attack.name.trim()
+      const attacks = pokemon.attacks.special
+      if (
+        attacks.some(a => a.name.toLowerCase() === attackName.toLowerCase())
+      ) {
+        return invalidInput(
+          res,
+          ctx,
+          `${pokemon.name} already knows ${attackName}`,
+          'name',
+        )
+      }
+      attacks.push({
+        name: attackName,
+        type: attack.type.trim(),
+        damage: attack.damage,
+      })
+      return respond(req, res, ctx, {addAttack: pokemon})
+    }),
+    pokemonApi.mutation('RemoveAttack', (req, res, ctx) => {
+      const {name, attackName} = req.variables
+      const pokemon = getPokemonDb()[name.toLowerCase()]
+      if (!pokemon) {
+        return notFound(res, ctx, name)
+      }
+      const attacks = pokemon.attacks.special
+      const index = attacks.findIndex(a => a.name === attackName)
+      if (index === -1) {
+        return invalidInput(
+          res,
+          ctx,
+          `${pokemon.name} doesn't know ${attackName}`,
+          'attackName',
+        )
+      }
+      attacks.splice(index, 1)
+      return respond(req, res, ctx, {removeAttack: pokemon})
+    }),
+  ]
+}
+
+export const handlers = createHandlers()
 
 const allPokemon = {
   pikachu: {
@@ -0,0 +1,208 @@
+// A factory for caches built on a guarded context (see ./guarded-context.js),
+// so a cache for another kind of resource is a few lines (and the pieces it's
+// made of, for a cache that needs more than it does):
+//   const {
+//     Provider: PokemonListCacheProvider,
+//     useQuery: usePokemonList,
+//   } = createCacheContext({name: 'PokemonList', fetcher: fetchPokemonList})
+
+import * as React from 'react'
+import {useAsync} from './utils'
+import {createGuardedContext} from './guarded-context'
+
+// concurrent requests for the same key share one request. The request is
+// only aborted once every consumer that's waiting on it has aborted.
+// onChange is called with the keys of the requests in flight when they change.
+function createSharedRequests(onChange = () => {}) {
+  const requests = new Map()
+
+  function settle(key, request) {
+    if (requests.get(key) !== request) return
+    requests.delete(key)
+    onChange([...requests.keys()])
+  }
+
+  function start(key, factory) {
+    const controller = new AbortController()
+    const request = {
+      controller,
+      consumers: 0,
+      promise: factory(controller.signal),
+    }
+    const settleRequest = () => settle(key, request)
+    request.promise.then(settleRequest, settleRequest)
+    requests.set(key, request)
+    onChange([...requests.keys()])
+    return request
+  }
+
+  // factory is given the AbortSignal of the shared request and returns a
+  // promise for it. signal is the consumer's own AbortSignal.
+  return function share(key, factory, signal) {
+    // an aborted consumer would never let go of the request
+    if (signal?.aborted) {
+      return Promise.reject(
+        new DOMException('The operation was aborted.', 'AbortError'),
+      )
+    }
+    const request = requests.get(key) ?? start(key, factory)
+    request.consumers++
+    signal?.addEventListener('abort', () => {
+      request.consumers--
+      if (request.consumers === 0) {
+        request.controller.abort()
+        settle(key, request)
+      }
+    })
+    return request.promise
+  }
+}
+
+// the entries of a cache are kept in an object by key in recency order: least
+// recently used first. So (re)adding an entry at the end marks it as the most
+// recently used one and evicting from the front drops the least recently used
+// ones. These return the entries unchanged when there's nothing to change.
+function addEntry(entries, key, entry) {
+  const {[key]: previousEntry, ...rest} = entries
+  return {...rest, [key]: entry}
+}
+
+function touchEntry(entries, key) {
+  const keys = Object.keys(entries)
+  if (!Object.hasOwn(entries, key) || keys[keys.length - 1] === key) {
+    return entries
+  }
+  return addEntry(entries, key, entries[key])
+}
+
+function removeEntry(entries, key) {
+  if (!Object.hasOwn(entries, key)) {
+    return entries
+  }
+  const {[key]: removedEntry, ...rest} = entries
+  return rest
+}
+
+function evictEntries(entries, maxEntries = Infinity) {
+  const keys = Object.keys(entries)
+  if (keys.length <= maxEntries) {
+    return entries
+  }
+  return Object.fromEntries(
+    keys.slice(keys.length - maxEntries).map(key => [key, entries[key]]),
+  )
+}
+
+// entries without an expiresAt never expire
+function removeExpiredEntries(entries, now) {
+  const all = Object.entries(entries)
+  const fresh = all.filter(([, entry]) => !(entry.expiresAt <= now))
+  return fresh.length === all.length ? entries : Object.fromEntries(fresh)
+}
+
+function cacheReducer(state, action) {
+  switch (action.type) {
+    case 'ADD_ENTRY': {
+      return addEntry(state, action.key, {
+        data: action.data,
+        updatedAt: action.updatedAt,
+      })
+    }
+    case 'REMOVE_ENTRY': {
+      return removeEntry(state, action.key)
+    }
+    default: {
+      throw new Error(`Unhandled action type: ${action.type}`)
+    }
+  }
+}
+
+const defaultKeyFn = (...args) => JSON.stringify(args)
+
+// name: what's cached, e.g. 'Pokemon' makes a PokemonCacheProvider and a
+// usePokemonCache hook (which is what the errors and devtools call them)
+// fetcher: called with the query's arguments followed by {signal} and returns
+// a promise for the data to cache
+// keyFn: the cache key for the query's arguments. A key of null means there's
+// nothing to query (yet).
+function createCacheContext({name, fetcher, keyFn = defaultKeyFn}) {
+  const providerName = `${name}CacheProvider`
+  const [ContextProvider, useCache] = createGuardedContext({
+    providerName,
+    hookName: `use${name}Cache`,
+  })
+
+  function CacheProvider(props) {
+    const [cache, dispatch] = React.useReducer(cacheReducer, {})
+
+    // concurrent queries for the same key share one request (and one cache
+    // write)
+    const [share] = React.useState(() => createSharedRequests())
+
+    const load = React.useCallback(
+      (args, {signal} = {}) => {
+        const key = keyFn(...args)
+        return share(
+          key,
+          requestSignal =>
+            fetcher(...args, {signal: requestSignal}).then(data => {
+              dispatch({type: 'ADD_ENTRY', key, data, updatedAt: Date.now()})
+              return data
+            }),
+          signal,
+        )
+      },
+      [share],
+    )
+
+    return <ContextProvider value={[cache, dispatch, {load}]} {...props} />
+  }
+  CacheProvider.displayName = providerName
+
+  // the cached data for the arguments, which are only fetched if they're not
+  // cached yet. Returns the status, data and error like useAsync.
+  function useQuery(...args) {
+    const key = keyFn(...args)
+    const entry = useCache(([cache]) => (key == null ? undefined : cache[key]))
+    const load = useCache(([, , helpers]) => helpers.load)
+    const {status, data, error, run} = useAsync()
+    // the key the async state is for
+    const [runKey, setRunKey] = React.useState(null)
+
+    const argsRef = React.useRef(args)
+    const entryRef = React.useRef(entry)
+    React.useLayoutEffect(() => {
+      argsRef.current = args
+      entryRef.current = entry
+    })
+
+    React.useEffect(() => {
+      if (key != null && !entryRef.current) {
+        setRunKey(key)
+        run(signal => load(argsRef.current, {signal}))
+      }
+    }, [key, load, run])
+
+    if (key == null) {
+      return {status: 'idle', data: null, error: null}
+    } else if (entry) {
+      return {status: 'resolved', data: entry.data, error: null}
+    } else if (runKey !== key) {
+      // the key changed and the effect that loads it hasn't run yet
+      return {status: 'pending', data: null, error: null}
+    }
+    return {status, data, error}
+  }
+
+  return {Provider: CacheProvider, useCache, useQuery}
+}
+
+export {
+  createCacheContext,
+  createSharedRequests,
+  addEntry,
+  touchEntry,
+  removeEntry,
+  evictEntries,
+  removeExpiredEntries,
+}
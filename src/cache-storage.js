@@ -0,0 +1,116 @@
+// Storage adapters for persisting a cache between page loads.
+// Every adapter has the same promise-based interface so they're swappable:
+//   getAll(): resolves to an object of all the stored records by key
+//   set(key, record): stores a (JSON serializable) record
+//   remove(key): removes the record for the key
+//   clear(): removes all the records
+
+function createWebStorageAdapter(storage, namespace) {
+  function read() {
+    try {
+      return JSON.parse(storage.getItem(namespace)) ?? {}
+    } catch {
+      // the stored value is corrupt, so we'll start over
+      return {}
+    }
+  }
+
+  function write(records) {
+    storage.setItem(namespace, JSON.stringify(records))
+  }
+
+  return {
+    getAll: async () => read(),
+    set: async (key, record) => write({...read(), [key]: record}),
+    remove: async key => {
+      const {[key]: removed, ...records} = read()
+      write(records)
+    },
+    clear: async () => storage.removeItem(namespace),
+  }
+}
+
+function createLocalStorageAdapter(namespace = 'pokemon-cache') {
+  return createWebStorageAdapter(window.localStorage, namespace)
+}
+
+function createSessionStorageAdapter(namespace = 'pokemon-cache') {
+  return createWebStorageAdapter(window.sessionStorage, namespace)
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// indexedDB is for using another implementation (e.g. in tests)
+function createIndexedDBAdapter({
+  databaseName = 'pokemon-cache',
+  storeName = 'entries',
+  indexedDB = window.indexedDB,
+} = {}) {
+  let dbPromise
+
+  function openDatabase() {
+    const request = indexedDB.open(databaseName, 1)
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+    return new Promise((resolve, reject) => {
+      promisifyRequest(request).then(resolve, reject)
+      // another tab has the database open with an older version
+      request.onblocked = () =>
+        reject(new Error(`The ${databaseName} database is blocked`))
+    }).then(db => {
+      // let another tab upgrade the database, we'll open it again next time
+      db.onversionchange = () => {
+        db.close()
+        dbPromise = null
+      }
+      return db
+    })
+  }
+
+  function getStore(mode) {
+    if (!dbPromise) {
+      dbPromise = openDatabase()
+      // a failure to open (e.g. in private mode) isn't cached so the next
+      // call tries again
+      dbPromise.catch(() => {
+        dbPromise = null
+      })
+    }
+    return dbPromise.then(db =>
+      db.transaction(storeName, mode).objectStore(storeName),
+    )
+  }
+
+  return {
+    getAll: async () => {
+      const store = await getStore('readonly')
+      const [keys, records] = await Promise.all([
+        promisifyRequest(store.getAllKeys()),
+        promisifyRequest(store.getAll()),
+      ])
+      return Object.fromEntries(keys.map((key, i) => [key, records[i]]))
+    },
+    set: async (key, record) => {
+      const store = await getStore('readwrite')
+      await promisifyRequest(store.put(record, key))
+    },
+    remove: async key => {
+      const store = await getStore('readwrite')
+      await promisifyRequest(store.delete(key))
+    },
+    clear: async () => {
+      const store = await getStore('readwrite')
+      await promisifyRequest(store.clear())
+    },
+  }
+}
+
+export {
+  createLocalStorageAdapter,
+  createSessionStorageAdapter,
+  createIndexedDBAdapter,
+}
@@ -3,31 +3,63 @@
 // http://localhost:3000/isolated/final/03.extra-1.js
 
 import * as React from 'react'
+import {createGuardedContext} from '../guarded-context'
 
-const CountContext = React.createContext()
+// the count and the dispatch are in separate contexts so the components that
+// only change the count (like Counter) don't re-render when it changes
+const [CountStateProvider, useCountState] = createGuardedContext({
+  providerName: 'CountProvider',
+  hookName: 'useCountState',
+})
 
-function CountProvider(props) {
-  const [count, setCount] = React.useState(0)
-  const value = [count, setCount]
-  return <CountContext.Provider value={value} {...props} />
-}
+const [CountDispatchProvider, useCountDispatch] = createGuardedContext({
+  providerName: 'CountProvider',
+  hookName: 'useCountDispatch',
+})
 
-function useCount() {
-  const context = React.useContext(CountContext)
-  if (!context) {
-    throw new Error('useCount must be used within a CountProvider')
+function countReducer(count, action) {
+  switch (action.type) {
+    case 'increment': {
+      return count + action.step
+    }
+    case 'decrement': {
+      return count - action.step
+    }
+    case 'reset': {
+      return action.initialCount
+    }
+    case 'set': {
+      return action.count
+    }
+    default: {
+      throw new Error(`Unhandled action type: ${action.type}`)
+    }
   }
-  return context
+}
+
+// step is how much increment and decrement change the count by (unless the
+// action has its own step) and reset goes back to the initialCount
+function CountProvider({initialCount = 0, step = 1, children}) {
+  const [count, unsafeDispatch] = React.useReducer(countReducer, initialCount)
+  const dispatch = React.useCallback(
+    action => unsafeDispatch({step, initialCount, ...action}),
+    [step, initialCount],
+  )
+  return (
+    <CountStateProvider value={count}>
+      <CountDispatchProvider value={dispatch}>{children}</CountDispatchProvider>
+    </CountStateProvider>
+  )
 }
 
 function CountDisplay() {
-  const [count] = useCount()
+  const count = useCountState()
   return <div>{`The current count is ${count}`}</div>
 }
 
 function Counter() {
-  const [, setCount] = useCount()
-  const increment = () => setCount(c => c + 1)
+  const dispatch = useCountDispatch()
+  const increment = () => dispatch({type: 'increment'})
   return <button onClick={increment}>Increment count</button>
 }
 
@@ -42,4 +74,5 @@ function App() {
   )
 }
 
+export {CountProvider, useCountState, useCountDispatch, CountDisplay, Counter}
 export default App
@@ -6,21 +6,232 @@
 // this in the regular exercise file.
 
 import * as React from 'react'
-import {useAsync} from '../utils'
+import {
+  createMutations,
+  useAsyncAll,
+  createResource,
+  useAsyncResource,
+  useOnlineStatus,
+  isOnline,
+} from '../utils'
 import {
   fetchPokemon,
+  updatePokemon,
+  addAttack,
+  removeAttack,
+  pokemonSchemaVersion,
+  pokemonFragments,
+  satisfiesSelection,
+  mergePokemonData,
   PokemonForm,
   PokemonDataView,
+  PokemonCompareView,
   PokemonInfoFallback,
   PokemonErrorBoundary,
+  usePokemonClient,
 } from '../pokemon'
+import {createGuardedContext, shallowEqual} from '../guarded-context'
+import {
+  createSharedRequests,
+  addEntry,
+  touchEntry,
+  removeEntry,
+  evictEntries,
+  removeExpiredEntries,
+} from '../cache-context'
+
+// the pokemon cache is normalized, persisted and evicted, which is more than
+// createCacheContext does. So it has its own provider, but its requests and
+// entries are kept by the same helpers.
+const [PokemonCacheContextProvider, usePokemonCache] = createGuardedContext({
+  providerName: 'PokemonCacheProvider',
+  hookName: 'usePokemonCache',
+})
+
+// The cache is normalized: each pokemon is stored once by its id (whatever
+// name it was looked up by) and its attacks are references into a table of
+// attacks by name, so an attack known by several pokemon (like Mew's and
+// Mewtwo's Hyper Beam) is stored once and updating it updates it everywhere.
+//   entries: the pokemon by id (with updatedAt and expiresAt)
+//   aliases: the lowercase names a pokemon has been looked up by to its id
+//   attacks: the attacks by lowercase name
+const initialCacheState = {entries: {}, aliases: {}, attacks: {}}
+
+const getAttackKey = attack => attack.name.toLowerCase()
+
+function normalizePokemon(pokemonData) {
+  const special = pokemonData.attacks?.special
+  if (!special) {
+    return {pokemon: pokemonData, attacks: []}
+  }
+  return {
+    pokemon: {
+      ...pokemonData,
+      attacks: {...pokemonData.attacks, special: special.map(getAttackKey)},
+    },
+    attacks: special,
+  }
+}
 
-const PokemonCacheContext = React.createContext()
+// the table is only copied if an attack actually changed so the pokemon that
+// reference the others don't change either
+function addAttacks(attacksTable, attacks) {
+  let nextTable = attacksTable
+  for (const attack of attacks) {
+    const key = getAttackKey(attack)
+    const existing = attacksTable[key]
+    const merged = {...existing, ...attack}
+    if (
+      !existing ||
+      Object.keys(merged).some(field => merged[field] !== existing[field])
+    ) {
+      nextTable = nextTable === attacksTable ? {...attacksTable} : nextTable
+      nextTable[key] = merged
+    }
+  }
+  return nextTable
+}
+
+function resolvePokemonId(state, idOrName) {
+  if (!idOrName) {
+    return undefined
+  } else if (state.entries[idOrName]) {
+    return idOrName
+  }
+  return state.aliases[idOrName.trim().toLowerCase()]
+}
+
+// denormalized pokemon are memoized so they only change when the pokemon or
+// one of its attacks changes
+const denormalizedPokemon = new WeakMap()
+
+function selectPokemon(state, idOrName) {
+  const id = resolvePokemonId(state, idOrName)
+  const pokemon = id ? state.entries[id].pokemon : undefined
+  if (!pokemon?.attacks?.special) {
+    return pokemon
+  }
+  const attacks = pokemon.attacks.special.map(key => state.attacks[key])
+  const memo = denormalizedPokemon.get(pokemon)
+  if (memo && memo.attacks.every((attack, i) => attack === attacks[i])) {
+    return memo.pokemonData
+  }
+  const pokemonData = {
+    ...pokemon,
+    attacks: {...pokemon.attacks, special: attacks},
+  }
+  denormalizedPokemon.set(pokemon, {attacks, pokemonData})
+  return pokemonData
+}
+
+// drops the aliases and attacks of pokemon that are no longer cached
+function removeUnreferenced(state) {
+  const aliases = Object.entries(state.aliases).filter(
+    ([, id]) => state.entries[id],
+  )
+  const referencedAttacks = new Set(
+    Object.values(state.entries).flatMap(
+      entry => entry.pokemon.attacks?.special ?? [],
+    ),
+  )
+  const attacks = Object.entries(state.attacks).filter(([key]) =>
+    referencedAttacks.has(key),
+  )
+  return {
+    entries: state.entries,
+    aliases:
+      aliases.length === Object.keys(state.aliases).length
+        ? state.aliases
+        : Object.fromEntries(aliases),
+    attacks:
+      attacks.length === Object.keys(state.attacks).length
+        ? state.attacks
+        : Object.fromEntries(attacks),
+  }
+}
+
+function evictLeastRecentlyUsed(state, maxEntries) {
+  const entries = evictEntries(state.entries, maxEntries)
+  return entries === state.entries
+    ? state
+    : removeUnreferenced({...state, entries})
+}
+
+// the data may only have some of the fields (see the selection option of
+// fetchPokemon), so it's merged with what we have for that pokemon
+function addPokemon(state, {pokemonName, pokemonData, updatedAt, expiresAt}) {
+  const {id} = pokemonData
+  const {pokemon, attacks} = normalizePokemon(pokemonData)
+  const entry = {
+    pokemon: mergePokemonData(state.entries[id]?.pokemon, pokemon),
+    updatedAt,
+    expiresAt,
+  }
+  const aliases = {...state.aliases}
+  for (const alias of [pokemonName, pokemonData.name]) {
+    if (alias) aliases[alias.trim().toLowerCase()] = id
+  }
+  return {
+    entries: addEntry(state.entries, id, entry),
+    aliases,
+    attacks: addAttacks(state.attacks, attacks),
+  }
+}
+
+// an invalidated entry is stale whatever the staleTime. Adding the pokemon
+// again replaces the entry so that makes it fresh.
+function isEntryStale(entry, staleTime) {
+  return entry.invalidated || Date.now() - entry.updatedAt >= staleTime
+}
 
 function pokemonCacheReducer(state, action) {
   switch (action.type) {
     case 'ADD_POKEMON': {
-      return {...state, [action.pokemonName]: action.pokemonData}
+      return evictLeastRecentlyUsed(
+        addPokemon(state, action),
+        action.maxEntries,
+      )
+    }
+    case 'TOUCH_POKEMON': {
+      const id = resolvePokemonId(state, action.pokemonName)
+      const entries = id ? touchEntry(state.entries, id) : state.entries
+      return entries === state.entries ? state : {...state, entries}
+    }
+    case 'INVALIDATE_POKEMON': {
+      const id = resolvePokemonId(state, action.pokemonName)
+      if (!id) {
+        return state
+      }
+      const entry = {...state.entries[id], invalidated: true}
+      return {...state, entries: {...state.entries, [id]: entry}}
+    }
+    case 'REMOVE_POKEMON': {
+      const id = resolvePokemonId(state, action.pokemonName)
+      if (!id) {
+        return state
+      }
+      return removeUnreferenced({
+        ...state,
+        entries: removeEntry(state.entries, id),
+      })
+    }
+    case 'HYDRATE': {
+      const hydrated = action.records.reduce(addPokemon, initialCacheState)
+      // anything we've fetched since mounting is newer than what was stored
+      return evictLeastRecentlyUsed(
+        {
+          entries: {...hydrated.entries, ...state.entries},
+          aliases: {...hydrated.aliases, ...state.aliases},
+          attacks: {...hydrated.attacks, ...state.attacks},
+        },
+        action.maxEntries,
+      )
+    }
+    case 'REMOVE_EXPIRED': {
+      const entries = removeExpiredEntries(state.entries, action.now)
+      return entries === state.entries
+        ? state
+        : removeUnreferenced({...state, entries})
     }
     default: {
       throw new Error(`Unhandled action type: ${action.type}`)
@@ -28,71 +239,514 @@ function pokemonCacheReducer(state, action) {
   }
 }
 
-function PokemonCacheProvider(props) {
-  const [cache, dispatch] = React.useReducer(pokemonCacheReducer, {})
-  return <PokemonCacheContext.Provider value={[cache, dispatch]} {...props} />
-}
+// staleTime: how long (ms) a cached entry is considered fresh. Stale entries
+// are still rendered right away, but they get revalidated in the background.
+// cacheTime: how long (ms) an entry is kept in the cache at all. It can also be
+// a function which is given the pokemonName and pokemonData for a per-entry TTL
+// maxEntries: how many entries to keep before evicting the least recently used
+// The defaults cache everything forever and never revalidate.
+// storage: an optional adapter from ../cache-storage to persist the cache in.
+function PokemonCacheProvider({
+  staleTime = Infinity,
+  cacheTime = Infinity,
+  maxEntries = Infinity,
+  storage,
+  ...props
+}) {
+  const [cache, unsafeDispatch] = React.useReducer(
+    pokemonCacheReducer,
+    initialCacheState,
+  )
 
-function usePokemonCache() {
-  const context = React.useContext(PokemonCacheContext)
-  if (!context) {
-    throw new Error(
-      'usePokemonCache must be used within a PokemonCacheProvider',
+  // every action is passed along to the action listeners (e.g. the devtools)
+  const actionListenersRef = React.useRef(new Set())
+  const dispatchAndNotify = React.useCallback(action => {
+    unsafeDispatch(action)
+    const time = Date.now()
+    for (const listener of actionListenersRef.current) {
+      listener(action, time)
+    }
+  }, [])
+
+  const subscribeToActions = React.useCallback(listener => {
+    actionListenersRef.current.add(listener)
+    return () => actionListenersRef.current.delete(listener)
+  }, [])
+
+  React.useEffect(() => {
+    if (!storage) {
+      return
+    }
+    let current = true
+    storage.getAll().then(
+      records => {
+        if (!current) return
+        const now = Date.now()
+        const validRecords = []
+        // the oldest first so the newest data for an attack wins
+        const sortedRecords = Object.entries(records).sort(
+          ([, a], [, b]) => (a?.updatedAt ?? 0) - (b?.updatedAt ?? 0),
+        )
+        // records are stored by the id of the pokemon (ones stored by name
+        // from before the cache was normalized are discarded)
+        for (const [id, record] of sortedRecords) {
+          // Infinity is serialized as null
+          const expiresAt = record?.expiresAt ?? Infinity
+          if (
+            record?.version === pokemonSchemaVersion &&
+            record.pokemonData?.id === id &&
+            expiresAt > now
+          ) {
+            validRecords.push({
+              pokemonData: record.pokemonData,
+              updatedAt: record.updatedAt,
+              expiresAt,
+            })
+          } else {
+            storage.remove(id).catch(() => {})
+          }
+        }
+        dispatchAndNotify({
+          type: 'HYDRATE',
+          records: validRecords,
+          maxEntries,
+        })
+      },
+      // a storage failure just means we start with an empty cache
+      () => {},
     )
-  }
-  return context
+    return () => {
+      current = false
+    }
+  }, [storage, maxEntries, dispatchAndNotify])
+
+  // cacheTime is read through a ref so an inline function doesn't change
+  // dispatch (and everything that loads through it) on every render
+  const cacheRef = React.useRef(cache)
+  const cacheTimeRef = React.useRef(cacheTime)
+  React.useLayoutEffect(() => {
+    cacheRef.current = cache
+    cacheTimeRef.current = cacheTime
+  })
+
+  const dispatch = React.useCallback(
+    action => {
+      if (action.type === 'ADD_POKEMON') {
+        const {pokemonName} = action
+        const {id} = action.pokemonData
+        // this is what the reducer will store
+        const pokemonData = mergePokemonData(
+          selectPokemon(cacheRef.current, id),
+          action.pokemonData,
+        )
+        const updatedAt = Date.now()
+        const cacheTime = cacheTimeRef.current
+        const ttl =
+          typeof cacheTime === 'function'
+            ? cacheTime(pokemonName, pokemonData)
+            : cacheTime
+        action = {...action, updatedAt, expiresAt: updatedAt + ttl, maxEntries}
+        storage
+          ?.set(id, {
+            version: pokemonSchemaVersion,
+            pokemonData,
+            updatedAt,
+            expiresAt: action.expiresAt,
+          })
+          .catch(() => {})
+      }
+      dispatchAndNotify(action)
+    },
+    [storage, maxEntries, dispatchAndNotify],
+  )
+
+  // concurrent requests for the same pokemon (and selection) share one network
+  // request and one cache write
+  const client = usePokemonClient()
+  const [inFlight, setInFlight] = React.useState(() => new Set())
+  const [share] = React.useState(() =>
+    createSharedRequests(keys =>
+      setInFlight(new Set(keys.map(key => JSON.parse(key)[0]))),
+    ),
+  )
+
+  // selection is the selection or fragment of the fields to load (see
+  // fetchPokemon). Loading some fields doesn't lose the others we have cached.
+  const loadPokemon = React.useCallback(
+    (name, {signal, selection = pokemonFragments.details} = {}) => {
+      const pokemonName = name.trim().toLowerCase()
+      // while we're offline whatever we have cached is the best we can do
+      const cachedPokemon = selectPokemon(cacheRef.current, pokemonName)
+      if (
+        cachedPokemon &&
+        !isOnline() &&
+        satisfiesSelection(cachedPokemon, selection)
+      ) {
+        return Promise.resolve(cachedPokemon)
+      }
+      return share(
+        JSON.stringify([pokemonName, selection]),
+        requestSignal =>
+          fetchPokemon(pokemonName, {
+            signal: requestSignal,
+            selection,
+            client,
+          }).then(pokemonData => {
+            dispatch({type: 'ADD_POKEMON', pokemonName, pokemonData})
+            return pokemonData
+          }),
+        signal,
+      )
+    },
+    [dispatch, client, share],
+  )
+
+  // optimistically caches updater(pokemonData) while the write (a function
+  // returning a promise for the updated pokemon) is in flight, then caches
+  // the pokemon the write resolves with or rolls back if it rejects (see
+  // createMutations). The optimistic and rolled back data aren't persisted and
+  // don't count as an update of the entry.
+  const mutatePokemon = React.useMemo(() => {
+    // the mutations of each pokemon by name
+    const mutations = new Map()
+
+    function setUnconfirmed(pokemonName, pokemonData) {
+      const cache = cacheRef.current
+      const entry = cache.entries[resolvePokemonId(cache, pokemonName)]
+      if (!entry) return
+      dispatchAndNotify({
+        type: 'ADD_POKEMON',
+        pokemonName,
+        pokemonData,
+        updatedAt: entry.updatedAt,
+        expiresAt: entry.expiresAt,
+        maxEntries,
+      })
+    }
+
+    function getMutate(pokemonName) {
+      if (!mutations.has(pokemonName)) {
+        mutations.set(
+          pokemonName,
+          createMutations({
+            getData: () => selectPokemon(cacheRef.current, pokemonName),
+            onOptimistic: pokemonData =>
+              setUnconfirmed(pokemonName, pokemonData),
+            onResolved: pokemonData =>
+              dispatch({type: 'ADD_POKEMON', pokemonName, pokemonData}),
+            onRejected: (error, pokemonData) =>
+              setUnconfirmed(pokemonName, pokemonData),
+          }),
+        )
+      }
+      return mutations.get(pokemonName)
+    }
+
+    return function mutatePokemon(pokemonName, updater, write) {
+      // there's nothing to update optimistically until the pokemon is cached
+      return getMutate(pokemonName)(
+        pokemonData => pokemonData && updater(pokemonData),
+        write,
+      )
+    }
+  }, [dispatch, dispatchAndNotify, maxEntries])
+
+  // entries can be evicted, expired or removed so we keep the storage in sync
+  const previousCacheRef = React.useRef(cache)
+  React.useEffect(() => {
+    const previousCache = previousCacheRef.current
+    previousCacheRef.current = cache
+    if (!storage) {
+      return
+    }
+    for (const id of Object.keys(previousCache.entries)) {
+      if (!cache.entries[id]) {
+        storage.remove(id).catch(() => {})
+      }
+    }
+  }, [cache, storage])
+
+  React.useEffect(() => {
+    const nextExpiry = Math.min(
+      ...Object.values(cache.entries).map(entry => entry.expiresAt),
+    )
+    if (nextExpiry === Infinity) {
+      return
+    }
+    const timeout = setTimeout(() => {
+      dispatch({type: 'REMOVE_EXPIRED', now: Date.now()})
+    }, Math.max(0, nextExpiry - Date.now()))
+    return () => clearTimeout(timeout)
+  }, [cache, dispatch])
+
+  return (
+    <PokemonCacheContextProvider
+      value={[
+        cache,
+        dispatch,
+        {
+          staleTime,
+          inFlight,
+          loadPokemon,
+          mutatePokemon,
+          subscribeToActions,
+        },
+      ]}
+      {...props}
+    />
+  )
 }
 
-function PokemonInfo({pokemonName: externalPokemonName}) {
-  const [cache, dispatch] = usePokemonCache()
-  
-  const pokemonName = externalPokemonName?.toLowerCase()
-  const {data: pokemon, status, error, run, setData} = useAsync({
-    status: pokemonName ? 'pending' : 'idle',
+// the cached pokemon (with its attacks) by id or any name it's been looked up by
+function usePokemon(idOrName) {
+  return usePokemonCache(([cache]) => selectPokemon(cache, idOrName))
+}
+
+// every cached attack of the type, whichever pokemon know it
+function useAttacksByType(type) {
+  const attacks = usePokemonCache(([cache]) => cache.attacks)
+  return React.useMemo(
+    () =>
+      Object.values(attacks).filter(
+        attack => attack.type.toLowerCase() === type.toLowerCase(),
+      ),
+    [attacks, type],
+  )
+}
+
+// fragment: the fields the pokemon is needed with
+function usePokemonResource(pokemonName, fragment) {
+  const {dispatch, staleTime, loadPokemon} = usePokemonCache(
+    ([, dispatch, {staleTime, loadPokemon}]) => ({
+      dispatch,
+      staleTime,
+      loadPokemon,
+    }),
+    shallowEqual,
+  )
+  const [revalidating, setRevalidating] = React.useState(false)
+  const online = useOnlineStatus()
+  // a pokemon with only some of the fields (e.g. loaded for a list) is no
+  // good here, so it's loaded again with the fields of the fragment
+  const cachedPokemon = usePokemon(pokemonName)
+  const pokemonData = satisfiesSelection(cachedPokemon, fragment)
+    ? cachedPokemon
+    : undefined
+  const cachedEntry = usePokemonCache(
+    ([cache]) => cache.entries[resolvePokemonId(cache, pokemonName)],
+  )
+  const entry = pokemonData ? cachedEntry : undefined
+  const {resource, attempt, isPaused, run, setData} = useAsyncResource(
+    pokemonName,
+    {retry: true},
+  )
+
+  // cached entries are read synchronously so they never suspend
+  const cachedResource = React.useMemo(
+    () => (pokemonData ? createResource(pokemonData) : null),
+    [pokemonData],
+  )
+
+  // the effects below only run when a pokemon is selected or it's needed with
+  // other fields (rather than every time its entry changes) so an entry that's
+  // evicted or removed while it's being shown doesn't get refetched, and a
+  // staleTime of 0 doesn't revalidate in a loop.
+  const entryRef = React.useRef(entry)
+  React.useLayoutEffect(() => {
+    entryRef.current = entry
   })
-  
+
+  // hold on to the data so we keep showing it if the entry is removed
+  React.useEffect(() => {
+    if (pokemonData) {
+      setData(pokemonData)
+    }
+  }, [pokemonData, setData])
+
   React.useEffect(() => {
     if (!pokemonName) {
       return
-    } else if (cache[pokemonName]) {
-      setData(cache[pokemonName])
+    } else if (entryRef.current) {
+      dispatch({type: 'TOUCH_POKEMON', pokemonName})
     } else {
-      run(
-        fetchPokemon(pokemonName).then(pokemonData => {
-          dispatch({type: 'ADD_POKEMON', pokemonName, pokemonData})
-          return pokemonData
-        }),
-      )
+      run(signal => loadPokemon(pokemonName, {signal, selection: fragment}))
     }
-  }, [cache, dispatch, pokemonName, run, setData])
+  }, [dispatch, loadPokemon, pokemonName, fragment, run])
+
+  // stale data is revalidated once we're back online
+  React.useEffect(() => {
+    const staleEntry = entryRef.current
+    if (!online || !staleEntry || !isEntryStale(staleEntry, staleTime)) {
+      return
+    }
+    const controller = new AbortController()
+    setRevalidating(true)
+    loadPokemon(pokemonName, {signal: controller.signal, selection: fragment})
+      // if revalidating fails we just keep showing the stale data
+      .catch(() => {})
+      .finally(() => {
+        if (!controller.signal.aborted) setRevalidating(false)
+      })
+    return () => {
+      controller.abort()
+      setRevalidating(false)
+    }
+  }, [loadPokemon, pokemonName, fragment, staleTime, online])
+
+  return {
+    resource: cachedResource ?? resource,
+    attempt,
+    isPaused,
+    revalidating,
+  }
+}
+
+function PokemonInfo({pokemonName: externalPokemonName, editable = false}) {
+  const pokemonName = externalPokemonName?.toLowerCase()
+  const {resource, attempt, isPaused, revalidating} = usePokemonResource(
+    pokemonName,
+    editable ? pokemonFragments.editable : pokemonFragments.details,
+  )
 
-  if (status === 'idle') {
+  if (!pokemonName) {
     return 'Submit a pokemon'
-  } else if (status === 'pending') {
-    return <PokemonInfoFallback name={pokemonName} />
-  } else if (status === 'rejected') {
-    throw error
-  } else if (status === 'resolved') {
-    return <PokemonDataView pokemon={pokemon} />
   }
 
-  throw new Error('This should be impossible')
+  const fallback = (
+    <PokemonInfoFallback
+      name={pokemonName}
+      attempt={attempt}
+      paused={isPaused}
+    />
+  )
+  if (!resource) {
+    return fallback
+  }
+  return (
+    <React.Suspense fallback={fallback}>
+      <PokemonResourceView
+        pokemonName={pokemonName}
+        pokemonResource={resource}
+        revalidating={revalidating}
+        editable={editable}
+      />
+    </React.Suspense>
+  )
+}
+
+function PokemonResourceView({
+  pokemonName,
+  pokemonResource,
+  revalidating,
+  editable,
+}) {
+  const mutatePokemon = usePokemonCache(
+    ([, , helpers]) => helpers.mutatePokemon,
+  )
+  const client = usePokemonClient()
+  const [editError, setEditError] = React.useState(null)
+  const pokemon = pokemonResource.read()
+
+  function edit(updater, write) {
+    setEditError(null)
+    mutatePokemon(pokemonName, updater, write).catch(setEditError)
+  }
+
+  function handleUpdateNickname(nickname) {
+    edit(
+      pokemonData => ({...pokemonData, nickname}),
+      () => updatePokemon(pokemonName, {nickname}, {client}),
+    )
+  }
+
+  function handleAddAttack(attack) {
+    edit(
+      pokemonData => ({
+        ...pokemonData,
+        attacks: {special: [...pokemonData.attacks.special, attack]},
+      }),
+      () => addAttack(pokemonName, attack, {client}),
+    )
+  }
+
+  function handleRemoveAttack(attackName) {
+    edit(
+      pokemonData => ({
+        ...pokemonData,
+        attacks: {
+          special: pokemonData.attacks.special.filter(
+            attack => attack.name !== attackName,
+          ),
+        },
+      }),
+      () => removeAttack(pokemonName, attackName, {client}),
+    )
+  }
+
+  return (
+    <PokemonDataView
+      pokemon={pokemon}
+      revalidating={revalidating}
+      editable={editable}
+      editError={editError}
+      onUpdateNickname={handleUpdateNickname}
+      onAddAttack={handleAddAttack}
+      onRemoveAttack={handleRemoveAttack}
+    />
+  )
 }
 
 function PreviousPokemon({onSelect}) {
-  const [cache] = usePokemonCache()
+  // just the names are selected so this doesn't re-render for changes to the
+  // pokemon themselves
+  const dispatch = usePokemonCache(([, dispatch]) => dispatch)
+  const cachedNames = usePokemonCache(
+    ([cache]) =>
+      Object.values(cache.entries)
+        .reverse()
+        .map(entry => entry.pokemon.name?.toLowerCase() ?? entry.pokemon.id),
+    shallowEqual,
+  )
+  const loadingNames = usePokemonCache(
+    ([, , {inFlight}]) => [...inFlight],
+    shallowEqual,
+  )
+  const id = React.useId()
+  // most recently used first, followed by any that are still loading
+  const pokemonNames = [
+    ...cachedNames,
+    ...loadingNames.filter(pokemonName => !cachedNames.includes(pokemonName)),
+  ]
   return (
     <div>
       Previous Pokemon
       <ul style={{listStyle: 'none', paddingLeft: 0}}>
-        {Object.keys(cache).map(pokemonName => (
-          <li key={pokemonName} style={{margin: '4px auto'}}>
+        {pokemonNames.map(pokemonName => (
+          <li key={pokemonName} style={{margin: '4px auto', display: 'flex'}}>
             <button
-              style={{width: '100%'}}
+              id={`${id}-${pokemonName}`}
+              style={{flex: 1}}
               onClick={() => onSelect(pokemonName)}
             >
               {pokemonName}
             </button>
+            {loadingNames.includes(pokemonName) ? (
+              <span
+                className="pokemon-spinner"
+                role="status"
+                aria-label={`loading ${pokemonName}`}
+              />
+            ) : null}
+            {/* described by the name rather than labelled with it so the name
+                button is the only one that's called the pokemon's name */}
+            <button
+              aria-label="remove"
+              aria-describedby={`${id}-${pokemonName}`}
+              disabled={!cachedNames.includes(pokemonName)}
+              onClick={() => dispatch({type: 'REMOVE_POKEMON', pokemonName})}
+            >
+              ×
+            </button>
           </li>
         ))}
       </ul>
@@ -100,26 +754,238 @@ function PreviousPokemon({onSelect}) {
   )
 }
 
-function PokemonSection({onSelect, pokemonName}) {
+// all the pokemon are fetched in parallel (through the cache) and the
+// comparison is shown once every one of them has settled. If only some of
+// them could be loaded those are compared and the rest are listed.
+function PokemonCompare({pokemonNames}) {
+  const loadPokemon = usePokemonCache(([, , helpers]) => helpers.loadPokemon)
+  const {results, status, error, run} = useAsyncAll()
+
+  React.useEffect(() => {
+    if (!pokemonNames.length) {
+      return
+    }
+    run(
+      pokemonNames.map(name => ({
+        key: name,
+        factory: signal => loadPokemon(name, {signal}),
+      })),
+    )
+  }, [pokemonNames, loadPokemon, run])
+
+  if (!pokemonNames.length) {
+    return 'Submit some pokemon to compare'
+  }
+  switch (status) {
+    case 'idle':
+    case 'pending':
+      return `Loading ${pokemonNames.join(', ')}...`
+    case 'rejected':
+      throw error
+    case 'partial':
+    case 'resolved':
+      return (
+        <>
+          <PokemonCompareView
+            pokemon={results
+              .filter(result => result.status === 'resolved')
+              .map(result => result.data)}
+          />
+          {results
+            .filter(result => result.status === 'rejected')
+            .map(result => (
+              <div key={result.key} role="alert">
+                Couldn't load {result.key}: {result.error.message}
+              </div>
+            ))}
+        </>
+      )
+    default:
+      throw new Error('This should be impossible')
+  }
+}
+
+const formatTime = time => new Date(time).toLocaleTimeString()
+
+// JSON is what the storage adapters keep, so that's what the size is of
+const getSize = pokemonData => new Blob([JSON.stringify(pokemonData)]).size
+
+function getAliasesById(aliases) {
+  const aliasesById = {}
+  for (const [alias, id] of Object.entries(aliases)) {
+    aliasesById[id] = [...(aliasesById[id] ?? []), alias]
+  }
+  return aliasesById
+}
+
+// an overlay for debugging the cache: every entry (most recently used first)
+// with buttons to invalidate, refetch or remove it, and a log of the actions
+// dispatched to the cache (newest first). The log is kept while it's closed.
+function PokemonCacheDevtools({initialIsOpen = false, maxLogEntries = 50}) {
+  const [
+    cache,
+    dispatch,
+    {staleTime, inFlight, loadPokemon, subscribeToActions},
+  ] = usePokemonCache()
+  const [isOpen, setIsOpen] = React.useState(initialIsOpen)
+  const [actionLog, setActionLog] = React.useState([])
+  // re-render every second so the ages tick
+  const [, forceRender] = React.useReducer(x => x + 1, 0)
+
+  React.useEffect(
+    () =>
+      subscribeToActions((action, time) => {
+        setActionLog(log =>
+          [{id: (log[0]?.id ?? 0) + 1, action, time}, ...log].slice(
+            0,
+            maxLogEntries,
+          ),
+        )
+      }),
+    [subscribeToActions, maxLogEntries],
+  )
+
+  React.useEffect(() => {
+    if (!isOpen) {
+      return
+    }
+    const interval = setInterval(forceRender, 1000)
+    return () => clearInterval(interval)
+  }, [isOpen])
+
+  const aliasesById = getAliasesById(cache.aliases)
+  const now = Date.now()
+
+  return (
+    <div className="pokemon-cache-devtools">
+      <button aria-expanded={isOpen} onClick={() => setIsOpen(!isOpen)}>
+        {isOpen ? 'Close' : 'Open'} cache devtools
+      </button>
+      {isOpen ? (
+        <section aria-label="Cache devtools">
+          <table>
+            <thead>
+              <tr>
+                <th>Key</th>
+                <th>Fetched at</th>
+                <th>Age</th>
+                <th>Size</th>
+                <th>Status</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(cache.entries)
+                .reverse()
+                .map(([id, entry]) => {
+                  const pokemonData = selectPokemon(cache, id)
+                  const aliases = aliasesById[id] ?? []
+                  const pokemonName =
+                    pokemonData.name?.toLowerCase() ?? aliases[0] ?? id
+                  const status = aliases.some(alias => inFlight.has(alias))
+                    ? 'fetching'
+                    : isEntryStale(entry, staleTime)
+                    ? 'stale'
+                    : 'fresh'
+                  return (
+                    <tr key={id}>
+                      <td>
+                        {pokemonName} <code>{id}</code>
+                      </td>
+                      <td>{pokemonData.fetchedAt}</td>
+                      <td>
+                        {Math.max(
+                          0,
+                          Math.round((now - entry.updatedAt) / 1000),
+                        )}
+                        s
+                      </td>
+                      <td>{getSize(pokemonData)} B</td>
+                      <td>{status}</td>
+                      <td>
+                        <button
+                          aria-label={`invalidate ${pokemonName}`}
+                          onClick={() =>
+                            dispatch({type: 'INVALIDATE_POKEMON', pokemonName})
+                          }
+                        >
+                          invalidate
+                        </button>
+                        <button
+                          aria-label={`refetch ${pokemonName}`}
+                          // a failed refetch just leaves the entry as it is
+                          onClick={() =>
+                            loadPokemon(pokemonName).catch(() => {})
+                          }
+                        >
+                          refetch
+                        </button>
+                        <button
+                          aria-label={`remove ${pokemonName} from the cache`}
+                          onClick={() =>
+                            dispatch({type: 'REMOVE_POKEMON', pokemonName})
+                          }
+                        >
+                          remove
+                        </button>
+                      </td>
+                    </tr>
+                  )
+                })}
+            </tbody>
+          </table>
+          <ol aria-label="Cache actions" reversed>
+            {actionLog.map(({id, action, time}) => (
+              <li key={id}>
+                <time dateTime={new Date(time).toISOString()}>
+                  {formatTime(time)}
+                </time>{' '}
+                {action.type} {action.pokemonName}
+              </li>
+            ))}
+          </ol>
+          <button onClick={() => setActionLog([])}>clear actions</button>
+        </section>
+      ) : null}
+    </div>
+  )
+}
+
+// previously fetched pokemon show up as suggestions without a search
+function CachedPokemonForm(props) {
+  const cachedPokemon = usePokemonCache(
+    ([cache]) =>
+      Object.keys(cache.entries)
+        .reverse()
+        .map(id => selectPokemon(cache, id)),
+    shallowEqual,
+  )
+  return <PokemonForm {...props} cachedPokemon={cachedPokemon} />
+}
+
+function PokemonSection({onSelect, pokemonName, editable}) {
   return (
-    <PokemonCacheProvider>
-      <div style={{display: 'flex'}}>
-        <PreviousPokemon onSelect={onSelect} />
-        <div className="pokemon-info">
-          <PokemonErrorBoundary
-            onReset={() => onSelect('')}
-            resetKeys={[pokemonName]}
-          >
-            <PokemonInfo pokemonName={pokemonName} />
-          </PokemonErrorBoundary>
-        </div>
+    <div style={{display: 'flex'}}>
+      <PreviousPokemon onSelect={onSelect} />
+      <div className="pokemon-info">
+        <PokemonErrorBoundary
+          onSelect={onSelect}
+          onReset={() => onSelect('')}
+          resetKeys={[pokemonName]}
+        >
+          <PokemonInfo pokemonName={pokemonName} editable={editable} />
+        </PokemonErrorBoundary>
       </div>
-    </PokemonCacheProvider>
+    </div>
   )
 }
 
-function App() {
+// devtools: whether to show the cache devtools overlay
+function App({staleTime, cacheTime, maxEntries, storage, devtools = false}) {
   const [pokemonName, setPokemonName] = React.useState(null)
+  const [editable, setEditable] = React.useState(false)
+  const [comparing, setComparing] = React.useState(false)
+  const [comparedNames, setComparedNames] = React.useState([])
 
   function handleSubmit(newPokemonName) {
     setPokemonName(newPokemonName)
@@ -129,13 +995,76 @@ function App() {
     setPokemonName(newPokemonName)
   }
 
+  // the provider wraps the form too so it can suggest cached pokemon. The
+  // previous pokemon are the history, so the form doesn't keep its own.
   return (
     <div className="pokemon-info-app">
-      <PokemonForm pokemonName={pokemonName} onSubmit={handleSubmit} />
-      <hr />
-      <PokemonSection onSelect={handleSelect} pokemonName={pokemonName} />
+      <PokemonCacheProvider
+        staleTime={staleTime}
+        cacheTime={cacheTime}
+        maxEntries={maxEntries}
+        storage={storage}
+      >
+        {comparing ? (
+          <CachedPokemonForm
+            multiple
+            pokemonNames={comparedNames}
+            onSubmit={setComparedNames}
+            recentSearchesKey={null}
+            maxRecentSearches={0}
+          />
+        ) : (
+          <CachedPokemonForm
+            pokemonName={pokemonName}
+            onSubmit={handleSubmit}
+            recentSearchesKey={null}
+            maxRecentSearches={0}
+          />
+        )}
+        <label>
+          <input
+            type="checkbox"
+            checked={editable}
+            onChange={e => setEditable(e.target.checked)}
+          />{' '}
+          Edit mode
+        </label>{' '}
+        <label>
+          <input
+            type="checkbox"
+            checked={comparing}
+            onChange={e => setComparing(e.target.checked)}
+          />{' '}
+          Compare mode
+        </label>
+        <hr />
+        {comparing ? (
+          <PokemonErrorBoundary
+            onReset={() => setComparedNames([])}
+            resetKeys={[comparedNames]}
+          >
+            <PokemonCompare pokemonNames={comparedNames} />
+          </PokemonErrorBoundary>
+        ) : (
+          <PokemonSection
+            onSelect={handleSelect}
+            pokemonName={pokemonName}
+            editable={editable}
+          />
+        )}
+        {devtools ? <PokemonCacheDevtools /> : null}
+      </PokemonCacheProvider>
     </div>
   )
 }
 
+export {
+  PokemonCacheProvider,
+  usePokemonCache,
+  usePokemon,
+  useAttacksByType,
+  PokemonCacheDevtools,
+  PokemonInfo,
+  PreviousPokemon,
+}
 export default App
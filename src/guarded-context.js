@@ -0,0 +1,98 @@
+// A context with a hook for consuming it that throws a helpful error when
+// it's used outside of the provider, and that only re-renders the consumers
+// whose selection of the value changed:
+//   const [CountProvider, useCount] = createGuardedContext({
+//     providerName: 'CountProvider',
+//     hookName: 'useCount',
+//   })
+
+import * as React from 'react'
+
+// holds a value and tells its subscribers when it changes
+function createValueStore(value) {
+  const listeners = new Set()
+  return {
+    getValue: () => value,
+    setValue: nextValue => {
+      if (nextValue === value) return
+      value = nextValue
+      for (const listener of listeners) {
+        listener()
+      }
+    },
+    subscribe: listener => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
+
+const identity = value => value
+
+// for selections that are new arrays or objects each time (e.g. a list of keys)
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) {
+    return true
+  }
+  if (
+    typeof a !== 'object' ||
+    typeof b !== 'object' ||
+    a === null ||
+    b === null
+  ) {
+    return false
+  }
+  const keys = Object.keys(a)
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(key => Object.hasOwn(b, key) && Object.is(a[key], b[key]))
+  )
+}
+
+// the previous selection is returned while the new one is equal to it so
+// useSyncExternalStore doesn't re-render for it
+function useStoreSelector(store, selector, isEqual) {
+  const selectionRef = React.useRef(null)
+  const getSelection = () => {
+    const selection = selector(store.getValue())
+    if (
+      selectionRef.current &&
+      isEqual(selectionRef.current.value, selection)
+    ) {
+      return selectionRef.current.value
+    }
+    selectionRef.current = {value: selection}
+    return selection
+  }
+  return React.useSyncExternalStore(store.subscribe, getSelection)
+}
+
+// a context with a hook for consuming it that throws a helpful error when
+// it's used outside of the provider. The provider is given the value and the
+// hook is given an optional selector (and isEqual for comparing selections):
+// the context itself only holds a store of the value, so a consumer only
+// re-renders when what it selected changes rather than whenever the value does.
+function createGuardedContext({providerName, hookName}) {
+  const Context = React.createContext()
+  Context.displayName = providerName
+
+  function GuardedProvider({value, ...props}) {
+    const [store] = React.useState(() => createValueStore(value))
+    React.useLayoutEffect(() => {
+      store.setValue(value)
+    }, [store, value])
+    return <Context.Provider value={store} {...props} />
+  }
+
+  function useGuardedContext(selector = identity, isEqual = Object.is) {
+    const store = React.useContext(Context)
+    if (!store) {
+      throw new Error(`${hookName} must be used within a ${providerName}`)
+    }
+    return useStoreSelector(store, selector, isEqual)
+  }
+
+  return [GuardedProvider, useGuardedContext]
+}
+
+export {createGuardedContext, shallowEqual}
@@ -0,0 +1,41 @@
+// The pokemon API client. The endpoint can be set per environment with the
+// REACT_APP_POKEMON_API_ENDPOINT environment variable and the mock backend
+// (./backend.js) handles requests to the same endpoint.
+const defaultPokemonApiConfig = {
+  endpoint:
+    process.env.REACT_APP_POKEMON_API_ENDPOINT ||
+    'https://graphql-pokemon2.vercel.app/',
+  headers: {},
+}
+
+// headers are sent with every request (e.g. for auth) and fetch replaces
+// window.fetch (e.g. in tests)
+function createPokemonClient({
+  endpoint = defaultPokemonApiConfig.endpoint,
+  headers = defaultPokemonApiConfig.headers,
+  fetch,
+} = {}) {
+  // resolves to the fetch Response of a GraphQL query or mutation
+  function request({query, variables, delay, signal}) {
+    const config = {
+      // learn more about this API here: https://graphql-pokemon2.vercel.app/
+      method: 'POST',
+      signal,
+      headers: {
+        'content-type': 'application/json;charset=UTF-8',
+        ...headers,
+        // the delay header is for faking things out a bit in the mock backend
+        ...(delay === undefined ? {} : {delay}),
+      },
+      body: JSON.stringify({query, variables}),
+    }
+    // window.fetch is looked up for each request so it can be mocked
+    return fetch ? fetch(endpoint, config) : window.fetch(endpoint, config)
+  }
+
+  return {endpoint, headers, request}
+}
+
+const defaultPokemonClient = createPokemonClient()
+
+export {defaultPokemonApiConfig, createPokemonClient, defaultPokemonClient}
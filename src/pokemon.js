@@ -1,65 +1,421 @@
 import * as React from 'react'
 import {ErrorBoundary} from 'react-error-boundary'
+import {isOnline, useOnlineStatus} from './utils'
+import {createPokemonClient, defaultPokemonClient} from './pokemon-client'
 
 const formatDate = date =>
   `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')} ${String(
     date.getSeconds(),
   ).padStart(2, '0')}.${String(date.getMilliseconds()).padStart(3, '0')}`
 
-// the delay argument is for faking things out a bit
-function fetchPokemon(name, delay = 1500) {
+// fetchPokemon rejects with one of these so the UI can tell the different
+// kinds of failures apart. `errors` is the original array of GraphQL errors
+// (if there were any) and `pokemonName` is the name that was requested.
+class PokemonApiError extends Error {
+  constructor({kind, message, status = null, errors = [], pokemonName, cause}) {
+    super(message)
+    this.name = 'PokemonApiError'
+    this.kind = kind
+    this.status = status
+    this.errors = errors
+    this.pokemonName = pokemonName
+    this.cause = cause
+  }
+}
+
+class PokemonNotFoundError extends PokemonApiError {
+  constructor({pokemonName, errors = [], ...options}) {
+    super({
+      kind: 'not-found',
+      message: `No pokemon with the name "${pokemonName}"`,
+      pokemonName,
+      errors,
+      ...options,
+    })
+    this.name = 'PokemonNotFoundError'
+    this.suggestions = errors.flatMap(e => e.extensions?.suggestions ?? [])
+  }
+}
+
+class PokemonServerError extends PokemonApiError {
+  constructor(options) {
+    super({kind: 'server', message: 'The pokemon API failed', ...options})
+    this.name = 'PokemonServerError'
+  }
+}
+
+class PokemonNetworkError extends PokemonApiError {
+  constructor(options) {
+    super({
+      kind: 'network',
+      message: 'Unable to reach the pokemon API',
+      ...options,
+    })
+    this.name = 'PokemonNetworkError'
+  }
+}
+
+class PokemonOfflineError extends PokemonApiError {
+  constructor(options) {
+    super({
+      kind: 'offline',
+      message: "You're offline",
+      ...options,
+    })
+    this.name = 'PokemonOfflineError'
+  }
+}
+
+class PokemonMalformedResponseError extends PokemonApiError {
+  constructor(options) {
+    super({
+      kind: 'malformed',
+      message: 'The pokemon API sent an unexpected response',
+      ...options,
+    })
+    this.name = 'PokemonMalformedResponseError'
+  }
+}
+
+class PokemonValidationError extends PokemonApiError {
+  constructor(options) {
+    super({
+      kind: 'invalid',
+      message: 'The pokemon API rejected the input',
+      ...options,
+    })
+    this.name = 'PokemonValidationError'
+  }
+}
+
+// field is the name of the field in the data that holds the pokemon
+async function getPokemonFromResponse(response, pokemonName, field) {
+  let body
+  try {
+    body = await response.json()
+  } catch (cause) {
+    throw new PokemonMalformedResponseError({
+      status: response.status,
+      pokemonName,
+      cause,
+    })
+  }
+  // the mock server nests the errors in data, a real GraphQL server doesn't
+  const errors = body?.errors ?? body?.data?.errors ?? []
+  const details = {
+    status: response.status,
+    errors,
+    pokemonName,
+    ...(errors.length ? {message: errors.map(e => e.message).join('\n')} : {}),
+  }
+
+  if (response.status === 404) {
+    throw new PokemonNotFoundError(details)
+  } else if (response.status === 400) {
+    throw new PokemonValidationError(details)
+  } else if (!response.ok) {
+    throw new PokemonServerError(details)
+  } else if (!body?.data || !(field in body.data)) {
+    throw new PokemonMalformedResponseError(details)
+  } else if (!body.data[field]) {
+    throw new PokemonNotFoundError(details)
+  }
+  return body.data[field]
+}
+
+// bump this whenever the shape of pokemonDetailsSelection below changes so any
+// data persisted with the old shape is discarded rather than rendered.
+const pokemonSchemaVersion = 1
+
+// a selection is an object of the fields to request: true for a field with a
+// plain value or another selection for a field holding an object (or a list
+// of objects)
+const pokemonSummarySelection = {
+  id: true,
+  number: true,
+  name: true,
+  image: true,
+}
+
+const pokemonDetailsSelection = {
+  ...pokemonSummarySelection,
+  attacks: {special: {name: true, type: true, damage: true}},
+}
+
+// the nickname is only known to our backend, so it's only requested where
+// the pokemon can be edited (and returned by the mutations)
+const pokemonEditableSelection = {
+  ...pokemonDetailsSelection,
+  nickname: true,
+}
+
+function printSelection(selection) {
+  return Object.entries(selection)
+    .map(([field, subselection]) =>
+      subselection === true
+        ? field
+        : `${field} {${printSelection(subselection)}}`,
+    )
+    .join(' ')
+}
+
+const pokemonFields = printSelection(pokemonEditableSelection)
+
+// a fragment is a named selection. It's sent as a GraphQL fragment so the
+// query says what it's for (e.g. a list view only needs the summary).
+function createPokemonFragment(name, selection) {
+  return {name, selection}
+}
+
+const pokemonFragments = {
+  summary: createPokemonFragment('PokemonSummary', pokemonSummarySelection),
+  details: createPokemonFragment('PokemonDetails', pokemonDetailsSelection),
+  editable: createPokemonFragment('PokemonEditable', pokemonEditableSelection),
+}
+
+const isFragment = selectionOrFragment =>
+  typeof selectionOrFragment.name === 'string'
+
+function getSelection(selectionOrFragment) {
+  return isFragment(selectionOrFragment)
+    ? selectionOrFragment.selection
+    : selectionOrFragment
+}
+
+// the id is always requested so partial records of a pokemon can be merged
+function getSelectionQuery(selectionOrFragment) {
+  if (!isFragment(selectionOrFragment)) {
+    return {
+      fields: printSelection({id: true, ...selectionOrFragment}),
+      fragments: '',
+    }
+  }
+  const {name, selection} = selectionOrFragment
+  return {
+    fields: `id ...${name}`,
+    fragments: `fragment ${name} on Pokemon {${printSelection(selection)}}`,
+  }
+}
+
+// whether the data has all the fields of the selection (or fragment)
+function satisfiesSelection(data, selectionOrFragment) {
+  if (!data) return false
+  return Object.entries(getSelection(selectionOrFragment)).every(
+    ([field, subselection]) => {
+      if (!(field in data)) return false
+      const value = data[field]
+      if (subselection === true || value === null) return true
+      return []
+        .concat(value)
+        .every(item => satisfiesSelection(item, subselection))
+    },
+  )
+}
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+function mergeFields(existing, incoming) {
+  if (!isPlainObject(existing) || !isPlainObject(incoming)) {
+    return incoming
+  }
+  const merged = {...existing}
+  for (const [field, value] of Object.entries(incoming)) {
+    merged[field] = mergeFields(existing[field], value)
+  }
+  return merged
+}
+
+// combines two (possibly partial) records of the same pokemon. Lists like the
+// attacks are replaced rather than merged because the newer one is the truth.
+// A record of a different pokemon isn't merged at all.
+function mergePokemonData(existing, incoming) {
+  if (!existing || existing.id !== incoming.id) {
+    return incoming
+  }
+  return mergeFields(existing, incoming)
+}
+
+// the delay option is for faking things out a bit
+// the signal option is an AbortSignal which cancels the request when aborted
+// the client option is the client to make the request with (see
+// ./pokemon-client.js and usePokemonClient below)
+function requestPokemon({
+  query,
+  variables,
+  field,
+  pokemonName,
+  delay = 1500,
+  signal,
+  client = defaultPokemonClient,
+}) {
+  // there's no point in trying (and waiting for the request to time out)
+  if (!isOnline()) {
+    return Promise.reject(new PokemonOfflineError({pokemonName}))
+  }
+  return client.request({query, variables, delay, signal}).then(
+    async response => {
+      const pokemon = await getPokemonFromResponse(response, pokemonName, field)
+      pokemon.fetchedAt = formatDate(new Date())
+      return pokemon
+    },
+    cause => {
+      if (cause?.name === 'AbortError') throw cause
+      if (!isOnline()) throw new PokemonOfflineError({pokemonName, cause})
+      throw new PokemonNetworkError({pokemonName, cause})
+    },
+  )
+}
+
+// the selection option is the selection or fragment of the fields to fetch
+function fetchPokemon(
+  name,
+  {selection = pokemonFragments.details, ...options} = {},
+) {
+  const {fields, fragments} = getSelectionQuery(selection)
   const pokemonQuery = `
     query PokemonInfo($name: String) {
-      pokemon(name: $name) {
-        id
-        number
-        name
-        image
-        attacks {
-          special {
-            name
-            type
-            damage
-          }
-        }
-      }
+      pokemon(name: $name) {${fields}}
+    }
+    ${fragments}
+  `
+  return requestPokemon({
+    query: pokemonQuery,
+    variables: {name: name.toLowerCase()},
+    field: 'pokemon',
+    pokemonName: name,
+    ...options,
+  })
+}
+
+const pokemonConnectionFields = `
+  edges {
+    cursor
+    node {${printSelection(pokemonSummarySelection)}}
+  }
+  pageInfo {
+    endCursor
+    hasNextPage
+  }
+  totalCount
+`
+
+// pass the pageInfo.endCursor of a page as "after" to get the next page
+function fetchPokemonList({first, after, type} = {}, options) {
+  const pokemonListQuery = `
+    query PokemonList($first: Int, $after: String, $type: String) {
+      pokemonList(first: $first, after: $after, type: $type) {${pokemonConnectionFields}}
+    }
+  `
+  return requestPokemon({
+    query: pokemonListQuery,
+    variables: {first, after, type},
+    field: 'pokemonList',
+    ...options,
+  })
+}
+
+function searchPokemon(query, {first, after, type} = {}, options) {
+  const searchPokemonQuery = `
+    query SearchPokemon($query: String!, $first: Int, $after: String, $type: String) {
+      searchPokemon(query: $query, first: $first, after: $after, type: $type) {${pokemonConnectionFields}}
+    }
+  `
+  return requestPokemon({
+    query: searchPokemonQuery,
+    variables: {query, first, after, type},
+    field: 'searchPokemon',
+    ...options,
+  })
+}
+
+// these mutations only exist in the mock backend (src/backend.js)
+function updatePokemon(name, {nickname}, options) {
+  const updatePokemonMutation = `
+    mutation UpdatePokemon($name: String!, $nickname: String) {
+      updatePokemon(name: $name, nickname: $nickname) {${pokemonFields}}
+    }
+  `
+  return requestPokemon({
+    query: updatePokemonMutation,
+    variables: {name: name.toLowerCase(), nickname},
+    field: 'updatePokemon',
+    pokemonName: name,
+    ...options,
+  })
+}
+
+function addAttack(name, attack, options) {
+  const addAttackMutation = `
+    mutation AddAttack($name: String!, $attack: AttackInput!) {
+      addAttack(name: $name, attack: $attack) {${pokemonFields}}
     }
   `
+  return requestPokemon({
+    query: addAttackMutation,
+    variables: {name: name.toLowerCase(), attack},
+    field: 'addAttack',
+    pokemonName: name,
+    ...options,
+  })
+}
 
-  return window
-    .fetch('https://graphql-pokemon2.vercel.app/', {
-      // learn more about this API here: https://graphql-pokemon2.vercel.app/
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json;charset=UTF-8',
-        delay: delay,
-      },
-      body: JSON.stringify({
-        query: pokemonQuery,
-        variables: {name: name.toLowerCase()},
+function removeAttack(name, attackName, options) {
+  const removeAttackMutation = `
+    mutation RemoveAttack($name: String!, $attackName: String!) {
+      removeAttack(name: $name, attackName: $attackName) {${pokemonFields}}
+    }
+  `
+  return requestPokemon({
+    query: removeAttackMutation,
+    variables: {name: name.toLowerCase(), attackName},
+    field: 'removeAttack',
+    pokemonName: name,
+    ...options,
+  })
+}
+
+const PokemonApiContext = React.createContext(defaultPokemonClient)
+
+// provides the client for the components below it to make their requests
+// with. Pass a client or the options for createPokemonClient.
+// A new client makes everything that loads through it start over, so inline
+// headers and fetch functions (which are new on every render) don't make one:
+// the client only changes with the endpoint or the content of the headers, and
+// it calls whichever fetch was passed last.
+function PokemonApiProvider({client, endpoint, headers, fetch, ...props}) {
+  const serializedHeaders = JSON.stringify(headers)
+  const fetchRef = React.useRef(fetch)
+  React.useLayoutEffect(() => {
+    fetchRef.current = fetch
+  })
+  const hasFetch = Boolean(fetch)
+
+  const value = React.useMemo(
+    () =>
+      client ??
+      createPokemonClient({
+        endpoint,
+        headers: serializedHeaders && JSON.parse(serializedHeaders),
+        fetch: hasFetch ? (...args) => fetchRef.current(...args) : undefined,
       }),
-    })
-    .then(async response => {
-      const {data} = await response.json()
-      if (response.ok) {
-        const pokemon = data?.pokemon
-        if (pokemon) {
-          pokemon.fetchedAt = formatDate(new Date())
-          return pokemon
-        } else {
-          return Promise.reject(new Error(`No pokemon with the name "${name}"`))
-        }
-      } else {
-        // handle the graphql errors
-        const error = {
-          message: data?.errors?.map(e => e.message).join('\n'),
-        }
-        return Promise.reject(error)
-      }
-    })
+    [client, endpoint, serializedHeaders, hasFetch],
+  )
+  return <PokemonApiContext.Provider value={value} {...props} />
+}
+
+// without a PokemonApiProvider this is the default client
+function usePokemonClient() {
+  return React.useContext(PokemonApiContext)
 }
 
-function PokemonInfoFallback({name}) {
+function getFallbackStatus({attempt, paused}) {
+  if (paused) return 'waiting for a connection...'
+  if (attempt) return `retrying (attempt ${attempt})...`
+  return 'loading...'
+}
+
+function PokemonInfoFallback({name, attempt = 0, paused = false}) {
   const initialName = React.useRef(name).current
   const fallbackPokemonData = {
     name: initialName,
@@ -71,12 +427,38 @@ function PokemonInfoFallback({name}) {
         {name: 'Loading Attack 2', type: 'Type', damage: 'XX'},
       ],
     },
-    fetchedAt: 'loading...',
+    fetchedAt: getFallbackStatus({attempt, paused}),
   }
   return <PokemonDataView pokemon={fallbackPokemonData} />
 }
 
-function PokemonDataView({pokemon}) {
+// pass editable (along with onUpdateNickname, onAddAttack and onRemoveAttack)
+// to get controls for editing the pokemon. editError is shown if an edit fails
+function PokemonDataView({
+  pokemon,
+  revalidating = false,
+  editable = false,
+  editError = null,
+  onUpdateNickname,
+  onAddAttack,
+  onRemoveAttack,
+}) {
+  function handleNicknameSubmit(event) {
+    event.preventDefault()
+    onUpdateNickname(event.target.elements.nickname.value)
+  }
+
+  function handleAttackSubmit(event) {
+    event.preventDefault()
+    const {attackName, attackType, attackDamage} = event.target.elements
+    onAddAttack({
+      name: attackName.value,
+      type: attackType.value,
+      damage: Number(attackDamage.value),
+    })
+    event.target.reset()
+  }
+
   return (
     <div>
       <div className="pokemon-info__img-wrapper">
@@ -87,30 +469,284 @@ function PokemonDataView({pokemon}) {
           {pokemon.name}
           <sup>{pokemon.number}</sup>
         </h2>
+        {pokemon.nickname ? (
+          <p className="pokemon-info__nickname">"{pokemon.nickname}"</p>
+        ) : null}
+        {editable ? (
+          <form onSubmit={handleNicknameSubmit} className="pokemon-info__edit">
+            <label htmlFor="pokemon-nickname">Nickname</label>
+            <input
+              id="pokemon-nickname"
+              name="nickname"
+              key={pokemon.nickname}
+              defaultValue={pokemon.nickname ?? ''}
+            />
+            <button type="submit">Save</button>
+          </form>
+        ) : null}
       </section>
       <section>
         <ul>
-          {pokemon.attacks.special.map(attack => (
-            <li key={attack.name}>
+          {/* an optimistic edit can briefly duplicate an attack name */}
+          {pokemon.attacks.special.map((attack, index) => (
+            <li key={`${attack.name}-${index}`}>
               <label>{attack.name}</label>:{' '}
               <span>
                 {attack.damage} <small>({attack.type})</small>
               </span>
+              {editable ? (
+                <button
+                  className="invisible-button"
+                  aria-label={`remove ${attack.name}`}
+                  onClick={() => onRemoveAttack(attack.name)}
+                >
+                  ×
+                </button>
+              ) : null}
             </li>
           ))}
         </ul>
+        {editable ? (
+          <form onSubmit={handleAttackSubmit} className="pokemon-info__edit">
+            <label htmlFor="pokemon-attack-name">Attack name</label>
+            <input id="pokemon-attack-name" name="attackName" required />
+            <label htmlFor="pokemon-attack-type">Attack type</label>
+            <input id="pokemon-attack-type" name="attackType" required />
+            <label htmlFor="pokemon-attack-damage">Attack damage</label>
+            <input
+              id="pokemon-attack-damage"
+              name="attackDamage"
+              type="number"
+              min="0"
+              required
+            />
+            <button type="submit">Add attack</button>
+          </form>
+        ) : null}
+        {editError ? <div role="alert">{editError.message}</div> : null}
       </section>
-      <small className="pokemon-info__fetch-time">{pokemon.fetchedAt}</small>
+      <small
+        className={`pokemon-info__fetch-time${
+          revalidating ? ' pokemon-info__fetch-time--stale' : ''
+        }`}
+      >
+        {pokemon.fetchedAt}
+        {revalidating ? ' (revalidating...)' : null}
+      </small>
     </div>
   )
 }
 
+function getAttackStats(pokemon) {
+  const damages = pokemon.attacks.special.map(attack => attack.damage)
+  const totalDamage = damages.reduce((total, damage) => total + damage, 0)
+  return {
+    count: damages.length,
+    totalDamage,
+    averageDamage: damages.length
+      ? Math.round(totalDamage / damages.length)
+      : 0,
+    maxDamage: damages.length ? Math.max(...damages) : 0,
+  }
+}
+
+const statLabels = {
+  count: 'Special attacks',
+  totalDamage: 'Total damage',
+  averageDamage: 'Average damage',
+  maxDamage: 'Strongest attack',
+}
+
+// the special attacks of each pokemon lined up by type. The strongest attack
+// of each type is highlighted (more than one if they're tied).
+function PokemonCompareView({pokemon: allPokemon}) {
+  const types = [
+    ...new Set(
+      allPokemon.flatMap(pokemon =>
+        pokemon.attacks.special.map(attack => attack.type),
+      ),
+    ),
+  ].sort()
+  const maxDamageByType = Object.fromEntries(
+    types.map(type => [
+      type,
+      Math.max(
+        ...allPokemon.flatMap(pokemon =>
+          pokemon.attacks.special
+            .filter(attack => attack.type === type)
+            .map(attack => attack.damage),
+        ),
+      ),
+    ]),
+  )
+  const stats = allPokemon.map(getAttackStats)
+
+  return (
+    <table className="pokemon-compare">
+      <thead>
+        <tr>
+          <th scope="col">Type</th>
+          {allPokemon.map(pokemon => (
+            <th key={pokemon.id} scope="col">
+              <img src={pokemon.image} alt={pokemon.name} />
+              <div>
+                {pokemon.name} <sup>{pokemon.number}</sup>
+              </div>
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {types.map(type => (
+          <tr key={type}>
+            <th scope="row">{type}</th>
+            {allPokemon.map(pokemon => (
+              <td key={pokemon.id}>
+                {pokemon.attacks.special
+                  .filter(attack => attack.type === type)
+                  .map(attack => (
+                    <div
+                      key={attack.name}
+                      className={
+                        attack.damage === maxDamageByType[type]
+                          ? 'pokemon-compare__best'
+                          : undefined
+                      }
+                    >
+                      {attack.name}: {attack.damage}
+                    </div>
+                  ))}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        {Object.entries(statLabels).map(([stat, label]) => (
+          <tr key={stat}>
+            <th scope="row">{label}</th>
+            {allPokemon.map((pokemon, index) => (
+              <td key={pokemon.id}>{stats[index][stat]}</td>
+            ))}
+          </tr>
+        ))}
+      </tfoot>
+    </table>
+  )
+}
+
+// wraps the part of the name that matches the query in a <mark>
+function HighlightMatch({text, query}) {
+  const index = text.toLowerCase().indexOf(query.trim().toLowerCase())
+  if (!query.trim() || index === -1) {
+    return text
+  }
+  const end = index + query.trim().length
+  return (
+    <>
+      {text.slice(0, index)}
+      <mark>{text.slice(index, end)}</mark>
+      {text.slice(end)}
+    </>
+  )
+}
+
+function readRecentSearches(storageKey) {
+  try {
+    const recentSearches = JSON.parse(window.localStorage.getItem(storageKey))
+    return Array.isArray(recentSearches) ? recentSearches : []
+  } catch {
+    return []
+  }
+}
+
+// the most recent search is first and a search is only listed once
+function useRecentSearches(storageKey, maxRecentSearches) {
+  const [recentSearches, setRecentSearches] = React.useState(() =>
+    storageKey ? readRecentSearches(storageKey) : [],
+  )
+
+  React.useEffect(() => {
+    if (!storageKey) return
+    if (recentSearches.length) {
+      window.localStorage.setItem(storageKey, JSON.stringify(recentSearches))
+    } else {
+      window.localStorage.removeItem(storageKey)
+    }
+  }, [storageKey, recentSearches])
+
+  const addRecentSearch = React.useCallback(
+    search => {
+      const normalizedSearch = search.trim().toLowerCase()
+      if (!normalizedSearch) return
+      setRecentSearches(previous =>
+        [
+          normalizedSearch,
+          ...previous.filter(s => s !== normalizedSearch),
+        ].slice(0, maxRecentSearches),
+      )
+    },
+    [maxRecentSearches],
+  )
+
+  const clearRecentSearches = React.useCallback(() => setRecentSearches([]), [])
+
+  return [recentSearches, addRecentSearch, clearRecentSearches]
+}
+
+function getSeparator(index, count) {
+  if (index === 0) return null
+  if (index < count - 1) return ', '
+  return count > 2 ? ', or ' : ' or '
+}
+
+// renders "a", "b", or "c" with a button for each name
+function NameButtons({names, onSelect}) {
+  return names.map((name, index) => (
+    <React.Fragment key={name}>
+      {getSeparator(index, names.length)}
+      <button
+        className="invisible-button"
+        type="button"
+        onClick={() => onSelect(name)}
+      >
+        "{name}"
+      </button>
+    </React.Fragment>
+  ))
+}
+
 function PokemonForm({
   pokemonName: externalPokemonName,
   initialPokemonName = externalPokemonName || '',
   onSubmit,
+  // in multiple mode names are collected and onSubmit gets an array of them
+  multiple = false,
+  pokemonNames: externalPokemonNames,
+  initialPokemonNames = externalPokemonNames || [],
+  suggestions = ['pikachu', 'charizard', 'mew'],
+  // previously fetched pokemon (e.g. from a cache) to suggest without a search
+  cachedPokemon = [],
+  // set this to null to not keep track of recent searches
+  recentSearchesKey = 'pokemon-recent-searches',
+  maxRecentSearches = 5,
+  searchDebounce = 300,
 }) {
-  const [pokemonName, setPokemonName] = React.useState(initialPokemonName)
+  const [pokemonName, setPokemonName] = React.useState(
+    multiple ? '' : initialPokemonName,
+  )
+  const [selectedNames, setSelectedNames] = React.useState(initialPokemonNames)
+  const [recentSearches, addRecentSearch, clearRecentSearches] =
+    useRecentSearches(recentSearchesKey, maxRecentSearches)
+  const client = usePokemonClient()
+  const [searchResults, setSearchResults] = React.useState([])
+  const [isOpen, setIsOpen] = React.useState(false)
+  const [highlightedIndex, setHighlightedIndex] = React.useState(-1)
+  const searchTimeoutRef = React.useRef()
+  const searchControllerRef = React.useRef()
+  const id = React.useId()
+  const listboxId = `${id}-listbox`
+  const getOptionId = index => `${id}-option-${index}`
 
   // this is generally not a great idea. We're synchronizing state when it is
   // normally better to derive it https://kentcdodds.com/blog/dont-sync-state-derive-it
@@ -119,89 +755,349 @@ function PokemonForm({
   React.useEffect(() => {
     // note that because it's a string value, if the externalPokemonName
     // is the same as the one we're managing, this will not trigger a re-render
-    if (typeof externalPokemonName === 'string') {
+    if (!multiple && typeof externalPokemonName === 'string') {
       setPokemonName(externalPokemonName)
     }
-  }, [externalPokemonName])
+  }, [multiple, externalPokemonName])
+
+  React.useEffect(() => {
+    if (multiple && Array.isArray(externalPokemonNames)) {
+      setSelectedNames(externalPokemonNames)
+    }
+  }, [multiple, externalPokemonNames])
+
+  const cancelSearch = React.useCallback(() => {
+    clearTimeout(searchTimeoutRef.current)
+    searchControllerRef.current?.abort()
+  }, [])
+
+  React.useEffect(() => cancelSearch, [cancelSearch])
+
+  function closeListbox() {
+    cancelSearch()
+    setIsOpen(false)
+    setHighlightedIndex(-1)
+  }
+
+  function getCachedMatches(query) {
+    const normalizedQuery = query.trim().toLowerCase()
+    if (!normalizedQuery) return []
+    return cachedPokemon.filter(pokemon =>
+      pokemon.name.toLowerCase().includes(normalizedQuery),
+    )
+  }
+
+  // only what the user types is searched (not the externally synced name)
+  function search(query) {
+    cancelSearch()
+    // cached matches show up right away and the search results are added
+    // to them when they come in
+    const cachedMatches = getCachedMatches(query)
+    setSearchResults(cachedMatches)
+    setIsOpen(cachedMatches.length > 0)
+    setHighlightedIndex(-1)
+    if (!query.trim()) return
+    searchTimeoutRef.current = setTimeout(() => {
+      const controller = new AbortController()
+      searchControllerRef.current = controller
+      searchPokemon(
+        query.trim(),
+        {first: 5},
+        {delay: 0, signal: controller.signal, client},
+      ).then(
+        connection => {
+          const cachedNames = cachedMatches.map(p => p.name.toLowerCase())
+          setSearchResults([
+            ...cachedMatches,
+            ...connection.edges
+              .map(edge => edge.node)
+              .filter(p => !cachedNames.includes(p.name.toLowerCase())),
+          ])
+          setIsOpen(true)
+        },
+        () => {
+          // the search is only a convenience, so a failure just means we
+          // stick with whatever cached matches we have
+        },
+      )
+    }, searchDebounce)
+  }
 
   function handleChange(e) {
     setPokemonName(e.target.value)
+    search(e.target.value)
+  }
+
+  function addSelectedName(newPokemonName) {
+    const normalizedName = newPokemonName.trim().toLowerCase()
+    setPokemonName('')
+    if (normalizedName && !selectedNames.includes(normalizedName)) {
+      setSelectedNames([...selectedNames, normalizedName])
+    }
+  }
+
+  function removeSelectedName(nameToRemove) {
+    setSelectedNames(selectedNames.filter(name => name !== nameToRemove))
   }
 
   function handleSubmit(e) {
     e.preventDefault()
-    onSubmit(pokemonName)
+    closeListbox()
+    if (multiple) {
+      // whatever was typed but not yet added is submitted along with the rest
+      const typedName = pokemonName.trim().toLowerCase()
+      const newPokemonNames =
+        typedName && !selectedNames.includes(typedName)
+          ? [...selectedNames, typedName]
+          : selectedNames
+      setPokemonName('')
+      setSelectedNames(newPokemonNames)
+      newPokemonNames.forEach(addRecentSearch)
+      onSubmit(newPokemonNames)
+    } else {
+      addRecentSearch(pokemonName)
+      onSubmit(pokemonName)
+    }
   }
 
   function handleSelect(newPokemonName) {
+    closeListbox()
+    if (multiple) {
+      addSelectedName(newPokemonName)
+      return
+    }
+    addRecentSearch(newPokemonName)
     setPokemonName(newPokemonName)
     onSubmit(newPokemonName)
   }
 
+  function handleKeyDown(e) {
+    const count = searchResults.length
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!count) return
+      e.preventDefault()
+      setIsOpen(true)
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setHighlightedIndex(index => {
+        if (!isOpen || index === -1) return step === 1 ? 0 : count - 1
+        return (index + step + count) % count
+      })
+    } else if (e.key === 'Enter' && isOpen && highlightedIndex !== -1) {
+      e.preventDefault()
+      handleSelect(searchResults[highlightedIndex].name.toLowerCase())
+    } else if (e.key === ',' && multiple) {
+      // a comma adds what's been typed so far
+      e.preventDefault()
+      closeListbox()
+      addSelectedName(pokemonName)
+    } else if (e.key === 'Backspace' && multiple && !pokemonName) {
+      setSelectedNames(selectedNames.slice(0, -1))
+    } else if (e.key === 'Escape') {
+      if (isOpen) {
+        e.preventDefault()
+        closeListbox()
+      } else {
+        cancelSearch()
+        setPokemonName('')
+      }
+    }
+  }
+
+  const isExpanded = isOpen && searchResults.length > 0
+
   return (
     <form onSubmit={handleSubmit} className="pokemon-form">
       <label htmlFor="pokemonName-input">Pokemon Name</label>
-      <small>
-        Try{' '}
-        <button
-          className="invisible-button"
-          type="button"
-          onClick={() => handleSelect('pikachu')}
-        >
-          "pikachu"
-        </button>
-        {', '}
-        <button
-          className="invisible-button"
-          type="button"
-          onClick={() => handleSelect('charizard')}
-        >
-          "charizard"
-        </button>
-        {', or '}
-        <button
-          className="invisible-button"
-          type="button"
-          onClick={() => handleSelect('mew')}
-        >
-          "mew"
-        </button>
-      </small>
-      <div>
+      {suggestions.length ? (
+        <small>
+          Try <NameButtons names={suggestions} onSelect={handleSelect} />
+        </small>
+      ) : null}
+      {recentSearches.length ? (
+        <small>
+          Recent <NameButtons names={recentSearches} onSelect={handleSelect} />{' '}
+          <button
+            className="invisible-button pokemon-form__clear"
+            type="button"
+            onClick={clearRecentSearches}
+          >
+            (clear recent searches)
+          </button>
+        </small>
+      ) : null}
+      {multiple && selectedNames.length ? (
+        <ul aria-label="Selected pokemon" className="pokemon-form__selected">
+          {selectedNames.map(name => (
+            <li key={name}>
+              {name}
+              <button
+                className="invisible-button"
+                type="button"
+                aria-label={`remove ${name}`}
+                onClick={() => removeSelectedName(name)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      <div className="pokemon-form__combobox">
         <input
           className="pokemonName-input"
           id="pokemonName-input"
           name="pokemonName"
           placeholder="Pokemon Name..."
+          autoComplete="off"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={isExpanded}
+          aria-controls={listboxId}
+          aria-activedescendant={
+            isExpanded && highlightedIndex !== -1
+              ? getOptionId(highlightedIndex)
+              : undefined
+          }
           value={pokemonName}
           onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={closeListbox}
         />
-        <button type="submit" disabled={!pokemonName.length}>
+        <button
+          type="submit"
+          disabled={!pokemonName.length && !(multiple && selectedNames.length)}
+        >
           Submit
         </button>
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label="Suggestions"
+          className="pokemon-form__listbox"
+          hidden={!isExpanded}
+        >
+          {searchResults.map((pokemon, index) => (
+            <li
+              key={pokemon.id}
+              id={getOptionId(index)}
+              role="option"
+              aria-selected={index === highlightedIndex}
+              className={`pokemon-form__option${
+                index === highlightedIndex
+                  ? ' pokemon-form__option--active'
+                  : ''
+              }`}
+              // keep the focus in the input (so it doesn't blur and close)
+              onMouseDown={e => e.preventDefault()}
+              onClick={() => handleSelect(pokemon.name.toLowerCase())}
+              onMouseEnter={() => setHighlightedIndex(index)}
+            >
+              <HighlightMatch text={pokemon.name} query={pokemonName} />
+              {cachedPokemon.includes(pokemon) ? (
+                <small className="pokemon-form__cached"> (cached)</small>
+              ) : null}
+            </li>
+          ))}
+        </ul>
       </div>
     </form>
   )
 }
 
-function ErrorFallback({error, resetErrorBoundary}) {
+const errorDescriptions = {
+  'not-found': 'Double check the spelling of the name.',
+  network: "We couldn't reach the pokemon API. Check your connection.",
+  server: 'The pokemon API is having trouble right now.',
+  invalid: 'Double check what you entered.',
+  malformed: "The pokemon API sent a response we didn't understand.",
+}
+
+// there's nothing to do while we're offline but wait, so trying again is
+// only possible once we're back
+function OfflineFallback({resetErrorBoundary}) {
+  const online = useOnlineStatus()
+  return (
+    <div role="alert" className="pokemon-offline">
+      {online ? (
+        <p>You're back online.</p>
+      ) : (
+        <p>You're offline. You can try again once you're back online.</p>
+      )}
+      <button onClick={resetErrorBoundary} disabled={!online}>
+        Try again
+      </button>
+    </div>
+  )
+}
+
+function ErrorFallback({error, resetErrorBoundary, onSelect}) {
+  if (error.kind === 'offline') {
+    return <OfflineFallback resetErrorBoundary={resetErrorBoundary} />
+  }
+  const description = errorDescriptions[error.kind]
+  const suggestions = onSelect ? error.suggestions ?? [] : []
   return (
     <div role="alert">
       There was an error:{' '}
       <pre style={{whiteSpace: 'normal'}}>{error.message}</pre>
+      {description ? <p>{description}</p> : null}
+      {suggestions.length ? (
+        <p>
+          Did you mean{' '}
+          {suggestions.map(suggestion => (
+            <button
+              key={suggestion}
+              className="invisible-button"
+              onClick={() => onSelect(suggestion)}
+            >
+              "{suggestion}"
+            </button>
+          ))}
+          ?
+        </p>
+      ) : null}
       <button onClick={resetErrorBoundary}>Try again</button>
     </div>
   )
 }
 
-function PokemonErrorBoundary(props) {
-  return <ErrorBoundary FallbackComponent={ErrorFallback} {...props} />
+// pass onSelect to offer the suggested names when a pokemon isn't found
+function PokemonErrorBoundary({onSelect, ...props}) {
+  return (
+    <ErrorBoundary
+      fallbackRender={fallbackProps => (
+        <ErrorFallback {...fallbackProps} onSelect={onSelect} />
+      )}
+      {...props}
+    />
+  )
 }
 
 export {
+  PokemonApiProvider,
+  usePokemonClient,
+  createPokemonClient,
   PokemonInfoFallback,
   PokemonForm,
   PokemonDataView,
+  PokemonCompareView,
   fetchPokemon,
+  pokemonFragments,
+  createPokemonFragment,
+  satisfiesSelection,
+  mergePokemonData,
+  fetchPokemonList,
+  searchPokemon,
+  updatePokemon,
+  addAttack,
+  removeAttack,
+  pokemonSchemaVersion,
   PokemonErrorBoundary,
+  PokemonApiError,
+  PokemonNotFoundError,
+  PokemonServerError,
+  PokemonNetworkError,
+  PokemonOfflineError,
+  PokemonMalformedResponseError,
+  PokemonValidationError,
 }
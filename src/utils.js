@@ -16,16 +16,213 @@ function useSafeDispatch(dispatch) {
   )
 }
 
+// by default only failures that might go away on their own are retried:
+// network errors (fetchPokemon reports a fetch that rejects as kind 'network'
+// or 'offline') and server errors. Things like a 404 for an unsupported
+// pokemon will fail the same way every time, and anything else (e.g. a
+// TypeError from a bug in the factory) is reported right away.
+function isRetryableError(error) {
+  return (
+    error?.kind === 'network' ||
+    error?.kind === 'offline' ||
+    error?.status >= 500
+  )
+}
+
+const defaultRetryOptions = {
+  count: 3,
+  backoff: 1000,
+  jitter: 0.2,
+  shouldRetry: isRetryableError,
+}
+
+// the abort listener is removed once the wait is over so retrying doesn't
+// pile them up on the signal of the run
+function wait(time, signal) {
+  return new Promise((resolve, reject) => {
+    function handleAbort() {
+      clearTimeout(timeout)
+      reject(new DOMException('The operation was aborted.', 'AbortError'))
+    }
+    const timeout = setTimeout(() => {
+      signal.removeEventListener('abort', handleAbort)
+      resolve()
+    }, time)
+    signal.addEventListener('abort', handleAbort, {once: true})
+  })
+}
+
+// calls the promise factory until it resolves, rejects with an error that
+// shouldn't be retried or runs out of retries. Each retry waits twice as long
+// as the one before it (starting at backoff ms) plus up to jitter times that
+// at random so a bunch of clients don't all retry at the exact same moment.
+// retry is either true (for the defaults) or an object of options.
+function callWithRetry(factory, signal, retry, onRetry) {
+  const {count, backoff, jitter, shouldRetry} = {
+    ...defaultRetryOptions,
+    ...(retry === true ? {} : retry),
+  }
+  function attempt(retries) {
+    return factory(signal).catch(error => {
+      if (signal.aborted || retries >= count || !shouldRetry(error)) {
+        throw error
+      }
+      onRetry(error, retries + 1)
+      const delay = backoff * 2 ** retries
+      return wait(delay + delay * jitter * Math.random(), signal).then(() =>
+        attempt(retries + 1),
+      )
+    })
+  }
+  return attempt(0)
+}
+
+// browsers that don't know whether they're online say they are
+function isOnline() {
+  return window.navigator.onLine !== false
+}
+
+function subscribeToOnlineStatus(callback) {
+  window.addEventListener('online', callback)
+  window.addEventListener('offline', callback)
+  return () => {
+    window.removeEventListener('online', callback)
+    window.removeEventListener('offline', callback)
+  }
+}
+
+function useOnlineStatus() {
+  return React.useSyncExternalStore(
+    subscribeToOnlineStatus,
+    isOnline,
+    () => true,
+  )
+}
+
+// both listeners are removed once we're online or the signal is aborted
+function waitForOnline(signal) {
+  return new Promise((resolve, reject) => {
+    function cleanup() {
+      window.removeEventListener('online', handleOnline)
+      signal.removeEventListener('abort', handleAbort)
+    }
+    function handleOnline() {
+      cleanup()
+      resolve()
+    }
+    function handleAbort() {
+      cleanup()
+      reject(new DOMException('The operation was aborted.', 'AbortError'))
+    }
+    window.addEventListener('online', handleOnline)
+    signal.addEventListener('abort', handleAbort)
+  })
+}
+
+// a factory that fails because we're offline is paused until we're back
+// online and then called again. onPausedChange is called with true when it's
+// paused and false when it's resumed.
+function callWhenOnline(factory, signal, onPausedChange) {
+  return factory(signal).catch(error => {
+    if (signal.aborted || isOnline() || !isRetryableError(error)) {
+      throw error
+    }
+    onPausedChange(true)
+    return waitForOnline(signal).then(() => {
+      onPausedChange(false)
+      return callWhenOnline(factory, signal, onPausedChange)
+    })
+  })
+}
+
+// run accepts either a promise or a function that's given an AbortSignal and
+// returns a promise. Only the latter can be retried or paused while offline.
+function callPromiseOrFactory(
+  promiseOrFactory,
+  signal,
+  retry,
+  onRetry,
+  onPausedChange = () => {},
+) {
+  if (typeof promiseOrFactory !== 'function') {
+    return promiseOrFactory
+  }
+  const factory = factorySignal =>
+    callWhenOnline(promiseOrFactory, factorySignal, onPausedChange)
+  if (retry) {
+    return callWithRetry(factory, signal, retry, onRetry)
+  }
+  return factory(signal)
+}
+
+// resolved and rejected actions dispatched by `run` carry the requestId of the
+// call that produced them. If that's not the requestId of the latest pending
+// action then a newer call has started and the result is stale so we drop it.
+// setData and setError dispatch without a requestId and always win.
+function isStale(state, action) {
+  return action.requestId != null && action.requestId !== state.requestId
+}
+
 function asyncReducer(state, action) {
   switch (action.type) {
     case 'pending': {
-      return {status: 'pending', data: null, error: null}
+      return {
+        status: 'pending',
+        data: null,
+        error: null,
+        attempt: 0,
+        requestId: action.requestId,
+        background: false,
+        paused: false,
+      }
+    }
+    // a background refetch keeps the status and data we already have
+    case 'refetching': {
+      return {
+        ...state,
+        attempt: 0,
+        requestId: action.requestId,
+        background: true,
+        paused: false,
+      }
+    }
+    case 'paused': {
+      if (isStale(state, action)) return state
+      return {...state, paused: action.paused}
+    }
+    case 'retrying': {
+      if (isStale(state, action)) return state
+      return {
+        ...state,
+        status: state.background ? state.status : 'retrying',
+        error: action.error,
+        attempt: action.attempt,
+      }
     }
     case 'resolved': {
-      return {status: 'resolved', data: action.data, error: null}
+      if (isStale(state, action)) return state
+      return {
+        status: 'resolved',
+        data: action.data,
+        error: null,
+        attempt: action.requestId == null ? 0 : state.attempt,
+        requestId: null,
+        background: false,
+        paused: false,
+      }
     }
     case 'rejected': {
-      return {status: 'rejected', data: null, error: action.error}
+      if (isStale(state, action)) return state
+      return {
+        status: 'rejected',
+        // a failed mutation rolls back to the data from before it
+        data: 'data' in action ? action.data : null,
+        error: action.error,
+        attempt: action.requestId == null ? 0 : state.attempt,
+        requestId: null,
+        background: false,
+        paused: false,
+      }
     }
     default: {
       throw new Error(`Unhandled action type: ${action.type}`)
@@ -33,40 +230,244 @@ function asyncReducer(state, action) {
   }
 }
 
-function useAsync(initialState) {
+// options.retry: true or {count, backoff, jitter, shouldRetry(error)} to retry
+// failed runs. While waiting to retry the status is 'retrying' and attempt is
+// the number of the retry we're waiting on.
+// options.refetchInterval: ms between background refetches of the last run
+// (only runs given a promise factory can be refetched). Polling is paused
+// while the document is hidden (or we're offline). isFetching is true while
+// anything is in flight.
+// A run that fails because we're offline is paused (isPaused is true and the
+// status stays what it was) and runs again once we're back online.
+// optimistic updates of some data while the writes that make them are in
+// flight. The returned mutate applies updater (the new data or a function
+// that's given the current data) right away, then waits for the promise (or a
+// function returning one) that does the actual write. That resolves with the
+// data the write confirmed (or undefined to keep the optimistic data) and
+// mutate returns a promise that settles the same way.
+// Mutations can overlap: each one is applied on top of the ones still in
+// flight, and a mutation only settles the data while no newer one is in flight
+// (that one's data was built on top of this one's) and nothing newer was
+// confirmed. A failure rolls back to the data the writes last confirmed rather
+// than to the data from before the mutation, which could hold the change of an
+// earlier mutation that failed too.
+// getData: the data the mutations start from when none are in flight
+// onOptimistic(data): the optimistic data to show
+// onResolved(data): the data a write confirmed
+// onRejected(error, data): a write failed and the data is rolled back to data
+function createMutations({getData, onOptimistic, onResolved, onRejected}) {
+  const inFlight = new Set()
+  let lastId = 0
+  let optimistic
+  let confirmed
+  let confirmedId = 0
+
+  const isSettling = id =>
+    id > confirmedId && [...inFlight].every(otherId => otherId <= id)
+
+  return function mutate(updater, promiseOrFactory) {
+    if (!inFlight.size) {
+      optimistic = getData()
+      confirmed = optimistic
+    }
+    const id = ++lastId
+    inFlight.add(id)
+    const data = typeof updater === 'function' ? updater(optimistic) : updater
+    optimistic = data
+    onOptimistic(data)
+    const promise =
+      typeof promiseOrFactory === 'function'
+        ? promiseOrFactory()
+        : promiseOrFactory
+    return promise.then(
+      result => {
+        const settling = isSettling(id)
+        // an older write that resolves late has nothing new to tell us, but
+        // one that resolves while a newer mutation is in flight is what that
+        // one rolls back to if it fails
+        if (id > confirmedId) {
+          confirmed = result === undefined ? data : result
+          confirmedId = id
+        }
+        if (settling) {
+          optimistic = confirmed
+          onResolved(confirmed)
+        }
+        inFlight.delete(id)
+        return result
+      },
+      error => {
+        if (isSettling(id)) {
+          optimistic = confirmed
+          onRejected(error, confirmed)
+        }
+        inFlight.delete(id)
+        throw error
+      },
+    )
+  }
+}
+
+function useAsync(initialState, {retry, refetchInterval} = {}) {
   const [state, unsafeDispatch] = React.useReducer(asyncReducer, {
     status: 'idle',
     data: null,
     error: null,
+    attempt: 0,
+    requestId: null,
+    background: false,
+    paused: false,
     ...initialState,
   })
 
   const dispatch = useSafeDispatch(unsafeDispatch)
+  const abortControllerRef = React.useRef(null)
+  const requestIdRef = React.useRef(0)
+  const lastFactoryRef = React.useRef(null)
+  const retryRef = React.useRef(retry)
+
+  React.useLayoutEffect(() => {
+    retryRef.current = retry
+  })
 
-  const {data, error, status} = state
+  const {data, error, status, attempt, paused: isPaused} = state
+  const isFetching = status === 'pending' || state.requestId != null
 
-  const run = React.useCallback(
-    promise => {
-      dispatch({type: 'pending'})
-      promise.then(
-        data => {
-          dispatch({type: 'resolved', data})
-        },
-        error => {
-          dispatch({type: 'rejected', error})
-        },
+  const abort = React.useCallback(() => {
+    abortControllerRef.current?.abort()
+    abortControllerRef.current = null
+  }, [])
+
+  // abort whatever is still in flight when the component unmounts
+  React.useEffect(() => abort, [abort])
+
+  // run accepts either a promise or a function that's given an AbortSignal
+  // and returns a promise. Starting a new run aborts the previous one and the
+  // requestId makes sure a slow result can never overwrite the result of a
+  // faster, more recent call (even if the promise ignores the signal).
+  const start = React.useCallback(
+    (promiseOrFactory, {background}) => {
+      abort()
+      const controller = new AbortController()
+      abortControllerRef.current = controller
+      const requestId = ++requestIdRef.current
+      const promise = callPromiseOrFactory(
+        promiseOrFactory,
+        controller.signal,
+        retryRef.current,
+        (error, attempt) =>
+          dispatch({type: 'retrying', error, attempt, requestId}),
+        paused => dispatch({type: 'paused', paused, requestId}),
       )
+      dispatch({type: background ? 'refetching' : 'pending', requestId})
+      promise
+        .then(
+          data => dispatch({type: 'resolved', data, requestId}),
+          error => dispatch({type: 'rejected', error, requestId}),
+        )
+        .finally(() => {
+          if (abortControllerRef.current === controller) {
+            abortControllerRef.current = null
+          }
+        })
     },
-    [dispatch],
+    [abort, dispatch],
   )
 
+  const run = React.useCallback(
+    promiseOrFactory => {
+      lastFactoryRef.current =
+        typeof promiseOrFactory === 'function' ? promiseOrFactory : null
+      start(promiseOrFactory, {background: false})
+    },
+    [start],
+  )
+
+  // re-runs the last promise factory without going back to 'pending'
+  const refetch = React.useCallback(() => {
+    if (lastFactoryRef.current) {
+      start(lastFactoryRef.current, {background: true})
+    }
+  }, [start])
+
+  React.useEffect(() => {
+    if (!refetchInterval) {
+      return
+    }
+    let interval
+    function startPolling() {
+      clearInterval(interval)
+      if (document.visibilityState === 'hidden') {
+        return
+      }
+      interval = setInterval(() => {
+        // don't interrupt a request that's still in flight
+        if (!abortControllerRef.current && isOnline()) refetch()
+      }, refetchInterval)
+    }
+    function handleVisibilityChange() {
+      if (
+        document.visibilityState === 'visible' &&
+        !abortControllerRef.current
+      ) {
+        refetch()
+      }
+      startPolling()
+    }
+    startPolling()
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => {
+      clearInterval(interval)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [refetch, refetchInterval])
+
   const setData = React.useCallback(
-    data => dispatch({type: 'resolved', data}),
-    [dispatch],
+    data => {
+      abort()
+      dispatch({type: 'resolved', data})
+    },
+    [abort, dispatch],
   )
   const setError = React.useCallback(
-    error => dispatch({type: 'rejected', error}),
-    [dispatch],
+    error => {
+      abort()
+      dispatch({type: 'rejected', error})
+    },
+    [abort, dispatch],
+  )
+
+  const dataRef = React.useRef(data)
+
+  React.useLayoutEffect(() => {
+    dataRef.current = data
+  })
+
+  const [mutateData] = React.useState(() => {
+    function setData(data) {
+      dataRef.current = data
+      dispatch({type: 'resolved', data})
+    }
+    return createMutations({
+      getData: () => dataRef.current,
+      onOptimistic: setData,
+      onResolved: setData,
+      onRejected: (error, data) => {
+        dataRef.current = data
+        dispatch({type: 'rejected', error, data})
+      },
+    })
+  })
+
+  // optimistic updates of the data (see createMutations). A failed mutation
+  // dispatches its error along with the data it rolled back to. The returned
+  // promise resolves when the write settles.
+  const mutate = React.useCallback(
+    (updater, promiseOrFactory) => {
+      abort()
+      return mutateData(updater, promiseOrFactory).catch(() => {})
+    },
+    [abort, mutateData],
   )
 
   return {
@@ -75,8 +476,415 @@ function useAsync(initialState) {
     error,
     status,
     data,
+    attempt,
+    isFetching,
+    isPaused,
+    run,
+    refetch,
+    mutate,
+  }
+}
+
+function updateItem(state, key, updates) {
+  return {
+    ...state,
+    items: state.items.map(item =>
+      item.key === key ? {...item, ...updates} : item,
+    ),
+  }
+}
+
+// the aggregate status is 'pending' until every query has settled (or one
+// rejected in fail fast mode). Then it's 'resolved' if they all resolved,
+// 'rejected' if none did and 'partial' if only some of them did.
+function asyncAllReducer(state, action) {
+  if (action.type !== 'pending' && isStale(state, action)) {
+    return state
+  }
+  switch (action.type) {
+    case 'pending': {
+      return {
+        status: 'pending',
+        error: null,
+        requestId: action.requestId,
+        items: action.keys.map(key => ({
+          key,
+          status: 'idle',
+          data: null,
+          error: null,
+          attempt: 0,
+          paused: false,
+        })),
+      }
+    }
+    case 'item-pending': {
+      return updateItem(state, action.key, {status: 'pending'})
+    }
+    case 'item-retrying': {
+      return updateItem(state, action.key, {
+        status: 'retrying',
+        error: action.error,
+        attempt: action.attempt,
+      })
+    }
+    case 'item-paused': {
+      return updateItem(state, action.key, {paused: action.paused})
+    }
+    case 'item-resolved': {
+      return updateItem(state, action.key, {
+        status: 'resolved',
+        data: action.data,
+        error: null,
+        paused: false,
+      })
+    }
+    case 'item-rejected': {
+      return updateItem(state, action.key, {
+        status: 'rejected',
+        error: action.error,
+        paused: false,
+      })
+    }
+    // fail fast: the queries that were still in flight have been aborted
+    case 'rejected': {
+      return {
+        ...state,
+        status: 'rejected',
+        error: action.error,
+        items: state.items.map(item =>
+          item.status === 'pending' || item.status === 'retrying'
+            ? {...item, status: 'idle', error: null, paused: false}
+            : item,
+        ),
+      }
+    }
+    case 'settled': {
+      if (state.status !== 'pending') return state
+      const resolvedCount = state.items.filter(
+        item => item.status === 'resolved',
+      ).length
+      let status = 'partial'
+      if (resolvedCount === state.items.length) {
+        status = 'resolved'
+      } else if (resolvedCount === 0) {
+        status = 'rejected'
+      }
+      return {
+        ...state,
+        status,
+        error: state.items.find(item => item.error)?.error ?? null,
+      }
+    }
+    default: {
+      throw new Error(`Unhandled action type: ${action.type}`)
+    }
+  }
+}
+
+function normalizeQuery(query, index) {
+  if (typeof query === 'function') {
+    return {key: index, factory: query, dependsOn: []}
+  }
+  return {
+    key: query.key ?? index,
+    factory: query.factory,
+    dependsOn: [].concat(query.dependsOn ?? []),
+  }
+}
+
+// a circular or unknown dependency is a mistake in the queries themselves
+function getDependencyError(queries) {
+  const queriesByKey = new Map(queries.map(query => [query.key, query]))
+  const checked = new Set()
+  function check(query, path) {
+    if (path.includes(query.key)) {
+      return new Error(`Circular dependency on ${query.key}`)
+    } else if (checked.has(query.key)) {
+      return null
+    }
+    for (const key of query.dependsOn) {
+      const dependency = queriesByKey.get(key)
+      if (!dependency) {
+        return new Error(`${query.key} depends on unknown key ${key}`)
+      }
+      const error = check(dependency, [...path, query.key])
+      if (error) {
+        return error
+      }
+    }
+    checked.add(query.key)
+    return null
+  }
+  for (const query of queries) {
+    const error = check(query, [])
+    if (error) {
+      return error
+    }
+  }
+  return null
+}
+
+// runs a bunch of queries together. Each query is either a promise factory
+// (its key is its index) or {key, factory, dependsOn}. A query that dependsOn
+// other keys doesn't start until they've all resolved and its factory is
+// called with the signal and an object of their data by key. If one of them
+// rejects it never starts and its status stays 'idle'. If the dependencies
+// are circular or unknown nothing is started and the run is rejected.
+// options.failFast: abort everything as soon as one query rejects
+// options.retry: the same as for useAsync, applied to each query
+// results has the key, status, data, error, attempt and paused (waiting to be
+// back online) for each query.
+function useAsyncAll({failFast = false, retry} = {}) {
+  const [state, unsafeDispatch] = React.useReducer(asyncAllReducer, {
+    status: 'idle',
+    error: null,
+    requestId: null,
+    items: [],
+  })
+
+  const dispatch = useSafeDispatch(unsafeDispatch)
+  const abortControllerRef = React.useRef(null)
+  const requestIdRef = React.useRef(0)
+  const optionsRef = React.useRef({failFast, retry})
+
+  React.useLayoutEffect(() => {
+    optionsRef.current = {failFast, retry}
+  })
+
+  const abort = React.useCallback(() => {
+    abortControllerRef.current?.abort()
+    abortControllerRef.current = null
+  }, [])
+
+  React.useEffect(() => abort, [abort])
+
+  const run = React.useCallback(
+    queries => {
+      abort()
+      const controller = new AbortController()
+      abortControllerRef.current = controller
+      const {signal} = controller
+      const requestId = ++requestIdRef.current
+      const {failFast, retry} = optionsRef.current
+      const normalizedQueries = queries.map(normalizeQuery)
+      const queriesByKey = new Map(
+        normalizedQueries.map(query => [query.key, query]),
+      )
+      const promises = new Map()
+
+      dispatch({
+        type: 'pending',
+        requestId,
+        keys: normalizedQueries.map(query => query.key),
+      })
+
+      const dependencyError = getDependencyError(normalizedQueries)
+      if (dependencyError) {
+        abortControllerRef.current = null
+        dispatch({type: 'rejected', error: dependencyError, requestId})
+        return
+      }
+
+      function start(query) {
+        if (promises.has(query.key)) {
+          return promises.get(query.key)
+        }
+        const dependencies = query.dependsOn.map(key =>
+          start(queriesByKey.get(key)),
+        )
+        let started = false
+        const promise = Promise.all(dependencies).then(values => {
+          if (signal.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError')
+          }
+          started = true
+          dispatch({type: 'item-pending', key: query.key, requestId})
+          const dependencyData = Object.fromEntries(
+            query.dependsOn.map((key, index) => [key, values[index]]),
+          )
+          return callPromiseOrFactory(
+            querySignal => query.factory(querySignal, dependencyData),
+            signal,
+            retry,
+            (error, attempt) =>
+              dispatch({
+                type: 'item-retrying',
+                key: query.key,
+                error,
+                attempt,
+                requestId,
+              }),
+            paused =>
+              dispatch({
+                type: 'item-paused',
+                key: query.key,
+                paused,
+                requestId,
+              }),
+          )
+        })
+        promises.set(query.key, promise)
+        promise.then(
+          data => {
+            if (signal.aborted) return
+            dispatch({type: 'item-resolved', key: query.key, data, requestId})
+          },
+          error => {
+            // it never started because something it depends on rejected
+            if (!started || signal.aborted) return
+            dispatch({type: 'item-rejected', key: query.key, error, requestId})
+            if (failFast) {
+              controller.abort()
+              dispatch({type: 'rejected', error, requestId})
+            }
+          },
+        )
+        return promise
+      }
+
+      const allPromises = normalizedQueries.map(query => start(query))
+      Promise.allSettled(allPromises).then(() => {
+        dispatch({type: 'settled', requestId})
+        if (abortControllerRef.current === controller) {
+          abortControllerRef.current = null
+        }
+      })
+    },
+    [abort, dispatch],
+  )
+
+  const {status, error, items} = state
+  return {
+    status,
+    error,
+    results: items,
+    data: React.useMemo(() => items.map(item => item.data), [items]),
+    run,
+  }
+}
+
+function createDeferred() {
+  let resolve, reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return {promise, resolve, reject}
+}
+
+// a resource wraps a promise for React Suspense: read() throws the promise
+// while it's pending (so the nearest Suspense boundary shows its fallback),
+// throws the error if it rejected (for the nearest error boundary) and returns
+// the data once it resolved. Anything that's not a promise is treated as data
+// that's already resolved so reading it never suspends.
+function createResource(promiseOrData) {
+  if (typeof promiseOrData?.then !== 'function') {
+    return {read: () => promiseOrData}
+  }
+  let status = 'pending'
+  let result = promiseOrData.then(
+    data => {
+      status = 'resolved'
+      result = data
+    },
+    error => {
+      status = 'rejected'
+      result = error
+    },
+  )
+  return {
+    read() {
+      if (status === 'resolved') {
+        return result
+      }
+      throw result
+    },
+  }
+}
+
+// like useAsync (which it runs on), but instead of a status you get a resource
+// to read() from a
+// component that's rendered inside a Suspense boundary. The resource is only
+// returned for the key it was created for, so when the key changes you get
+// null until you call run or setData for the new key.
+// It accepts the same retry option as useAsync and returns the attempt and
+// isPaused (the run is waiting for us to be back online) too.
+function useAsyncResource(key, {retry} = {}) {
+  const {
+    status,
+    data,
+    error,
+    attempt,
+    isPaused,
+    run: runAsync,
+    setData: setAsyncData,
+  } = useAsync(undefined, {retry})
+  const [state, setState] = React.useState({
+    key,
+    resource: null,
+    deferred: null,
+  })
+  const keyRef = React.useRef(key)
+
+  React.useLayoutEffect(() => {
+    keyRef.current = key
+  })
+
+  // the resource reads a promise that's settled with the result of the run.
+  // useAsync ignores the results of the runs it aborted, so the status after
+  // a run is always for the latest one.
+  const {deferred} = state
+  React.useEffect(() => {
+    if (!deferred) {
+      return
+    } else if (status === 'resolved') {
+      deferred.resolve(data)
+    } else if (status === 'rejected') {
+      deferred.reject(error)
+    }
+  }, [deferred, status, data, error])
+
+  const run = React.useCallback(
+    promiseOrFactory => {
+      const deferred = createDeferred()
+      setState({
+        key: keyRef.current,
+        resource: createResource(deferred.promise),
+        deferred,
+      })
+      runAsync(promiseOrFactory)
+    },
+    [runAsync],
+  )
+
+  const setData = React.useCallback(
+    data => {
+      setAsyncData(data)
+      setState({
+        key: keyRef.current,
+        resource: createResource(data),
+        deferred: null,
+      })
+    },
+    [setAsyncData],
+  )
+
+  const isCurrent = Object.is(state.key, key)
+  return {
+    resource: isCurrent ? state.resource : null,
+    attempt: isCurrent ? attempt : 0,
+    isPaused: isCurrent && isPaused,
     run,
+    setData,
   }
 }
 
-export {useAsync}
+export {
+  createMutations,
+  useAsync,
+  useAsyncAll,
+  createResource,
+  useAsyncResource,
+  useOnlineStatus,
+  isOnline,
+}